@@ -0,0 +1,507 @@
+// Computer-controlled players. A controller looks at the simulation state and
+// returns the direction its player should take this tick (or null to keep
+// going). How it decides is up to its strategy, so every bot in a match can
+// run a different brain. Each controller has its own seeded random stream so
+// bots stay deterministic without touching the simulation's rules.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function ({ DIRECTIONS, createRandom, deriveSeed }) {
+    // Shared helpers for strategies. A strategy only has to implement
+    // decide(player), returning a direction or null.
+    class AIStrategy {
+        constructor(controller) {
+            this.controller = controller;
+            this.simulation = controller.simulation;
+            this.random = controller.random;
+        }
+
+        decide(player) {
+            return null;
+        }
+
+        isReverse(player, dir) {
+            return dir.x === -player.direction.x && dir.y === -player.direction.y;
+        }
+
+        // Directions the simulation will accept right now
+        allowedDirections(player) {
+            return DIRECTIONS.filter(dir => player.trail.length === 0 || !this.isReverse(player, dir));
+        }
+
+        // How far the player can go in a direction, up to a limit, before
+        // hitting a wall, an obstacle or its own trail (nothing else can kill it)
+        clearDistance(player, dir, limit) {
+            const { playerSize } = this.simulation.config;
+
+            for (let d = 12; d <= limit; d += 8) {
+                const x = player.x + dir.x * d;
+                const y = player.y + dir.y * d;
+                if (!this.simulation.arena.isOpen(x, y, 8)) return d - 8;
+                if (this.simulation.isNearTrail(player, x, y, playerSize + 2)) return d - 8;
+            }
+            return limit;
+        }
+
+        isPathClear(player, dir, distance) {
+            return this.clearDistance(player, dir, distance) >= distance;
+        }
+
+        // Heads for a point in L-shaped paths: keeps going straight until the
+        // point is level on that axis (zig-zagging would fold the trail onto
+        // itself), then turns to whichever clear direction closes the most
+        // distance
+        steerTowards(player, x, y) {
+            const dx = x - player.x;
+            const dy = y - player.y;
+            const length = Math.hypot(dx, dy) || 1;
+
+            const current = player.direction;
+            if (current.x * dx + current.y * dy > 4 && this.isPathClear(player, current, 28)) {
+                return current;
+            }
+
+            const ranked = this.allowedDirections(player)
+                .map(dir => ({ dir, score: (dir.x * dx + dir.y * dy) / length + this.random() * 0.01 }))
+                .sort((a, b) => b.score - a.score);
+
+            const clear = ranked.find(({ dir }) => this.isPathClear(player, dir, 28));
+            if (clear) return clear.dir;
+
+            // Boxed in: take whichever way stays open longest
+            return ranked.reduce((best, option) =>
+                this.clearDistance(player, option.dir, 200) > this.clearDistance(player, best.dir, 200) ? option : best
+            ).dir;
+        }
+
+        // Anyone but the player and its teammates
+        isOpponent(player, other) {
+            return other.id !== player.id && !this.simulation.areAllies(player, other);
+        }
+
+        // Centre of the nearest cell the player owns, searching outwards in rings
+        nearestOwnedPoint(player, from = player) {
+            const grid = this.simulation.state.grid;
+            if (grid.cellCount(player.owner) === 0) return null;
+
+            const size = grid.cellSize;
+            const col = Math.floor(from.x / size);
+            const row = Math.floor(from.y / size);
+            const maxRadius = Math.max(grid.cols, grid.rows);
+
+            for (let r = 0; r <= maxRadius; r++) {
+                let best = null;
+                let bestDistance = Infinity;
+                const visit = (c, rr) => {
+                    if (c < 0 || c >= grid.cols || rr < 0 || rr >= grid.rows) return;
+                    if (grid.cells[rr * grid.cols + c] !== player.owner) return;
+
+                    const distance = Math.abs(c - col) + Math.abs(rr - row);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = { x: (c + 0.5) * size, y: (rr + 0.5) * size };
+                    }
+                };
+
+                // Only the ring's edge is new at this radius
+                for (let c = col - r; c <= col + r; c++) {
+                    visit(c, row - r);
+                    if (r > 0) visit(c, row + r);
+                }
+                for (let rr = row - r + 1; rr <= row + r - 1; rr++) {
+                    visit(col - r, rr);
+                    visit(col + r, rr);
+                }
+                if (best) return best;
+            }
+            return null;
+        }
+
+        // Seconds the player needs to get back into its territory
+        timeToHome(player) {
+            if (player.trail.length === 0) return 0;
+            const home = this.nearestOwnedPoint(player);
+            if (!home) return Infinity;
+            return (Math.abs(home.x - player.x) + Math.abs(home.y - player.y)) / this.simulation.getSpeed(player);
+        }
+
+        // Seconds before the quickest opponent could reach the player's trail
+        // and cut it; never before a freeze or shield runs out
+        timeToThreat(player) {
+            let best = Infinity;
+            for (const other of this.simulation.state.players) {
+                const speed = this.simulation.getSpeed(other);
+                if (!this.isOpponent(player, other) || !other.alive || speed <= 0) continue;
+
+                let distance = Math.hypot(other.x - player.x, other.y - player.y);
+                for (let i = 0; i < player.trail.length; i += 2) {
+                    const point = player.trail[i];
+                    distance = Math.min(distance, Math.hypot(other.x - point.x, other.y - point.y));
+                }
+                best = Math.min(best, distance / speed);
+            }
+            return Math.max(best, this.protectedFor(player));
+        }
+
+        // Seconds the player's trail can't be cut for
+        protectedFor(player) {
+            const sim = this.simulation;
+            return Math.max(sim.getEffectTimeLeft(player, 'freeze'), sim.getEffectTimeLeft(player, 'shield')) / 1000;
+        }
+
+        // The closest pickup within range, if getting there and back home
+        // again is quicker than any opponent could reach the trail
+        findPickup(player, range) {
+            const speed = this.simulation.getSpeed(player);
+            const threat = this.timeToThreat(player);
+
+            let best = null;
+            let bestDistance = range;
+            for (const pickup of this.simulation.state.pickups) {
+                const distance = Math.abs(pickup.x - player.x) + Math.abs(pickup.y - player.y);
+                if (distance >= bestDistance) continue;
+                const home = this.nearestOwnedPoint(player, pickup);
+                const back = home ? Math.abs(home.x - pickup.x) + Math.abs(home.y - pickup.y) : Infinity;
+                if ((distance + back) / speed < threat) {
+                    bestDistance = distance;
+                    best = pickup;
+                }
+            }
+            return best;
+        }
+
+        // Free distance from a point to the arena edge or an obstacle along a
+        // direction (far enough is as good as any further)
+        roomAlong(point, dir) {
+            return this.simulation.arena.distanceToSolid(point.x, point.y, dir, 20, 600);
+        }
+
+        nearestOpponentDistance(player, x, y) {
+            let best = Infinity;
+            for (const other of this.simulation.state.players) {
+                if (!this.isOpponent(player, other) || !other.alive) continue;
+                best = Math.min(best, Math.hypot(other.x - x, other.y - y));
+            }
+            return best;
+        }
+    }
+
+    // The original bots: wander in a random safe direction every one to three
+    // seconds, keeping away from other players
+    class WanderStrategy extends AIStrategy {
+        constructor(controller) {
+            super(controller);
+            this.nextDirectionChange = 0; // match time in ms
+        }
+
+        decide(player) {
+            const time = this.simulation.state.time;
+
+            // Change direction occasionally or when needed
+            if (time >= this.nextDirectionChange || this.isInDanger(player)) {
+                this.nextDirectionChange = time + 1000 + this.random() * 2000;
+                return this.chooseDirection(player);
+            }
+            return null;
+        }
+
+        chooseDirection(player) {
+            const sim = this.simulation;
+
+            // Filter safe directions
+            const safeDirections = DIRECTIONS.filter(dir => {
+                // Don't reverse direction
+                if (this.isReverse(player, dir)) return false;
+
+                // Check if this direction leads to safety
+                const testX = player.x + dir.x * 50;
+                const testY = player.y + dir.y * 50;
+
+                return sim.isPositionSafe(player, testX, testY);
+            });
+
+            if (safeDirections.length > 0) {
+                // Prefer directions that lead toward unclaimed territory
+                const bestDirection = this.findBestDirection(player, safeDirections);
+                return bestDirection || safeDirections[Math.floor(this.random() * safeDirections.length)];
+            } else if (player.trail.length === 0) {
+                // If no safe direction and no trail, pick any direction
+                return DIRECTIONS[Math.floor(this.random() * DIRECTIONS.length)];
+            }
+            return null;
+        }
+
+        findBestDirection(player, directions) {
+            const { width, height } = this.simulation.config;
+            const arena = this.simulation.arena;
+            let bestDirection = null;
+            let bestScore = -1;
+
+            for (const dir of directions) {
+                const testX = player.x + dir.x * 100;
+                const testY = player.y + dir.y * 100;
+
+                // Score based on distance from other players and potential territory gain
+                let score = 0;
+
+                // Prefer directions away from other players
+                for (const otherPlayer of this.simulation.state.players) {
+                    if (otherPlayer.id === player.id) continue;
+                    const distance = Math.sqrt((testX - otherPlayer.x) ** 2 + (testY - otherPlayer.y) ** 2);
+                    score += Math.min(distance / 100, 1);
+                }
+
+                // Drift towards pickups that are close by
+                for (const pickup of this.simulation.state.pickups) {
+                    const distance = Math.hypot(testX - pickup.x, testY - pickup.y);
+                    if (distance < 200) score += 1 - distance / 200;
+                }
+
+                // Prefer directions toward center if near walls
+                const centerX = width / 2;
+                const centerY = height / 2;
+                const distanceToCenter = Math.sqrt((testX - centerX) ** 2 + (testY - centerY) ** 2);
+                if (!arena.isOpen(testX, testY, 50)) {
+                    score += (1 - distanceToCenter / 400);
+                }
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestDirection = dir;
+                }
+            }
+
+            return bestDirection;
+        }
+
+        isInDanger(player) {
+            const lookAhead = 30;
+            const testX = player.x + player.direction.x * lookAhead;
+            const testY = player.y + player.direction.y * lookAhead;
+
+            return !this.simulation.isPositionSafe(player, testX, testY);
+        }
+    }
+
+    // Plans rectangular capture loops: out from the border, across, and back
+    // home. Loops shrink when opponents are close, and the bot abandons the
+    // plan for the shortest way home as soon as an opponent could reach its
+    // trail first. With hunting on it also goes after trails it can cut
+    // before their owners get home. Pickups in reach are worth a detour.
+    class LoopStrategy extends AIStrategy {
+        constructor(controller, options = {}) {
+            super(controller);
+            this.minLoop = options.minLoop || 40; // px
+            this.maxLoop = options.maxLoop || 120;
+            this.caution = options.caution || 1.3; // head home when a threat is this many times closer
+            this.hunt = !!options.hunt;
+            this.huntRange = options.huntRange || 200;
+            this.pickupRange = options.pickupRange || 250; // px, 0 to ignore pickups
+
+            this.exitDirection = null;
+            this.legs = null; // [{ direction, length }], the last one runs until home
+            this.leg = 0;
+            this.legStart = null;
+            this.returning = false;
+        }
+
+        decide(player) {
+            if (this.hunt) {
+                const target = this.findPrey(player);
+                if (target) return this.steerTowards(player, target.x, target.y);
+            }
+
+            const pickup = this.pickupRange > 0 ? this.findPickup(player, this.pickupRange) : null;
+            if (pickup) {
+                // The loop plan is off once we leave it; head home afterwards
+                if (player.trail.length > 0) this.returning = true;
+                return this.steerTowards(player, pickup.x, pickup.y);
+            }
+
+            if (player.trail.length === 0) {
+                this.legs = null;
+                this.returning = false;
+                return this.leaveHome(player);
+            }
+
+            if (!this.legs) this.planLoop(player);
+
+            const threatened = this.timeToThreat(player) < this.timeToHome(player) * this.caution + 0.3;
+            if (threatened || this.returning || this.leg >= this.legs.length - 1) {
+                this.returning = this.returning || threatened;
+                return this.goHome(player);
+            }
+
+            return this.followLegs(player);
+        }
+
+        // Picks a direction to leave territory in and keeps going that way
+        leaveHome(player) {
+            const current = this.exitDirection;
+            if (!current || !this.isPathClear(player, current, 28) || this.random() < 0.01) {
+                let best = null;
+                let bestScore = -Infinity;
+                for (const dir of this.allowedDirections(player)) {
+                    if (!this.isPathClear(player, dir, 28)) continue;
+                    const score = this.scoreExit(player, dir) + this.random() * 20;
+                    if (score > bestScore) {
+                        bestScore = score;
+                        best = dir;
+                    }
+                }
+                this.exitDirection = best || this.allowedDirections(player)[0];
+            }
+            return this.exitDirection;
+        }
+
+        // Open space past the border, minus how crowded it is out there
+        scoreExit(player, dir) {
+            const grid = this.simulation.state.grid;
+            let border = 0;
+            while (border < 400 && grid.ownerAt(player.x + dir.x * border, player.y + dir.y * border) === player.owner) {
+                border += 8;
+            }
+            const exit = { x: player.x + dir.x * border, y: player.y + dir.y * border };
+            const room = Math.min(this.roomAlong(exit, dir), this.maxLoop);
+            if (room < this.minLoop) return -1000 + room;
+
+            const middle = { x: exit.x + dir.x * room / 2, y: exit.y + dir.y * room / 2 };
+            const crowding = Math.max(0, 200 - this.nearestOpponentDistance(player, middle.x, middle.y));
+            return room - border * 0.5 - crowding;
+        }
+
+        // Sizes the loop from the exit point: bigger when nobody is around
+        planLoop(player) {
+            const out = player.direction;
+            const danger = this.nearestOpponentDistance(player, player.x, player.y);
+            const size = Math.max(this.minLoop, Math.min(this.maxLoop, danger * 0.5));
+
+            const depth = Math.max(16, Math.min(size, this.roomAlong(player, out)));
+            const corner = { x: player.x + out.x * depth, y: player.y + out.y * depth };
+
+            let across = null;
+            let acrossRoom = -Infinity;
+            for (const dir of DIRECTIONS) {
+                if (dir.x === out.x || dir.y === out.y) continue; // perpendicular only
+                const room = Math.min(this.roomAlong(corner, dir), size);
+                const score = room - Math.max(0, 150 - this.nearestOpponentDistance(
+                    player, corner.x + dir.x * room, corner.y + dir.y * room)) + this.random() * 10;
+                if (score > acrossRoom) {
+                    acrossRoom = score;
+                    across = dir;
+                }
+            }
+            const width = Math.max(16, Math.min(size * (0.6 + this.random() * 0.4), this.roomAlong(corner, across)));
+
+            this.legs = [
+                { direction: out, length: depth },
+                { direction: across, length: width },
+                { direction: { x: -out.x, y: -out.y }, length: Infinity }
+            ];
+            this.leg = 0;
+            this.legStart = { x: player.x, y: player.y };
+        }
+
+        followLegs(player) {
+            const leg = this.legs[this.leg];
+            const travelled = (player.x - this.legStart.x) * leg.direction.x +
+                (player.y - this.legStart.y) * leg.direction.y;
+
+            if (travelled >= leg.length) {
+                this.leg++;
+                this.legStart = { x: player.x, y: player.y };
+            }
+
+            const direction = this.legs[this.leg].direction;
+            if (this.isReverse(player, direction) || !this.isPathClear(player, direction, 20)) {
+                this.returning = true;
+                return this.goHome(player);
+            }
+            return direction;
+        }
+
+        goHome(player) {
+            const home = this.nearestOwnedPoint(player);
+            if (!home) return null;
+            return this.steerTowards(player, home.x, home.y);
+        }
+
+        // A point on an opponent's trail we can reach before they get home
+        findPrey(player) {
+            if (this.timeToThreat(player) < this.timeToHome(player) * this.caution) return null;
+
+            let best = null;
+            let bestDistance = this.huntRange;
+            for (const other of this.simulation.state.players) {
+                if (!this.isOpponent(player, other) || !other.alive || other.trail.length < 2) continue;
+                if (this.protectedFor(other) > 0) continue; // can't be cut right now
+
+                const theirTime = this.timeToHome(other);
+                for (let i = 0; i < other.trail.length; i += 2) {
+                    const point = other.trail[i];
+                    const distance = Math.abs(point.x - player.x) + Math.abs(point.y - player.y);
+                    if (distance < bestDistance && distance / this.simulation.getSpeed(player) < theirTime * 0.9) {
+                        bestDistance = distance;
+                        best = point;
+                    }
+                }
+            }
+            return best;
+        }
+    }
+
+    const AI_STRATEGIES = {
+        easy: (controller) => new WanderStrategy(controller),
+        normal: (controller) => new LoopStrategy(controller, { maxLoop: 120, caution: 1.3 }),
+        hard: (controller) => new LoopStrategy(controller, { maxLoop: 180, caution: 1.6, hunt: true })
+    };
+    const AI_DIFFICULTIES = Object.keys(AI_STRATEGIES);
+
+    // Makes a strategy available to matches under a name
+    function registerStrategy(name, factory) {
+        AI_STRATEGIES[name] = factory;
+    }
+
+    // Strategy names for a match's bots. 'mixed' deals out every difficulty
+    // in turn, and a comma separated list sets each bot in order.
+    function pickStrategies(setting, count) {
+        const names = setting === 'mixed' ? AI_DIFFICULTIES : String(setting || 'normal').split(',');
+        const valid = names.map(name => name.trim()).filter(name => Object.hasOwn(AI_STRATEGIES, name));
+        const mix = valid.length > 0 ? valid : ['normal'];
+        return Array.from({ length: count }, (_, i) => mix[i % mix.length]);
+    }
+
+    class AIController {
+        constructor(simulation, playerId, strategy = 'normal') {
+            this.simulation = simulation;
+            this.playerId = playerId;
+            this.random = createRandom(deriveSeed(simulation.seed, playerId));
+
+            const factory = typeof strategy === 'function' ? strategy
+                : Object.hasOwn(AI_STRATEGIES, strategy) ? AI_STRATEGIES[strategy] : null;
+            if (!factory) throw new Error(`Unknown AI strategy "${strategy}"`);
+            this.strategyName = typeof strategy === 'function' ? 'custom' : strategy;
+            this.strategy = factory(this);
+        }
+
+        decide() {
+            const player = this.simulation.getPlayer(this.playerId);
+            if (!player || !player.alive) return null;
+            return this.strategy.decide(player);
+        }
+    }
+
+    return {
+        AIController,
+        AIStrategy,
+        WanderStrategy,
+        LoopStrategy,
+        AI_STRATEGIES,
+        AI_DIFFICULTIES,
+        registerStrategy,
+        pickStrategies
+    };
+});
@@ -0,0 +1,228 @@
+// The analytics tabs on the game over screen, drawn from the raw stats of a
+// MatchTelemetry (its toJSON()): territory share over time for everyone, a
+// movement heatmap over the arena and a table of per-player numbers.
+class MatchAnalytics {
+    constructor() {
+        this.stats = null;
+        this.arena = null;
+        this.localPlayerId = null;
+        this.chartCanvas = document.getElementById('territoryChart');
+        this.heatmapCanvas = document.getElementById('heatmapCanvas');
+        this.heatmapRenderer = new ArenaRenderer(this.heatmapCanvas);
+        this.heatmapSelect = document.getElementById('heatmapPlayer');
+        this.tabs = document.querySelectorAll('#analyticsTabs button');
+
+        for (const tab of this.tabs) {
+            tab.addEventListener('click', () => this.selectTab(tab.dataset.tab));
+        }
+        this.heatmapSelect.addEventListener('change', () => this.drawHeatmap());
+    }
+
+    // stats: MatchTelemetry.toJSON(); arena: the match's parsed arena, if any
+    show(stats, arena, localPlayerId) {
+        this.stats = stats;
+        this.arena = arena;
+        this.localPlayerId = localPlayerId;
+
+        this.heatmapSelect.innerHTML = '';
+        this.heatmapSelect.add(new Option('Everyone', ''));
+        for (const player of stats.players) this.heatmapSelect.add(new Option(player.name, player.id));
+
+        this.fillLegend();
+        this.fillTable();
+        this.selectTab('rankings');
+    }
+
+    selectTab(name) {
+        for (const tab of this.tabs) tab.classList.toggle('active', tab.dataset.tab === name);
+        for (const panel of document.querySelectorAll('.analytics-panel')) {
+            panel.style.display = panel.dataset.panel === name ? 'block' : 'none';
+        }
+        // Canvases are drawn once they're on screen and have a size
+        if (name === 'territory') this.drawChart();
+        if (name === 'heatmap') this.drawHeatmap();
+    }
+
+    // Sets a canvas up for the screen's pixel density and returns its context
+    // in CSS pixels
+    prepareCanvas(canvas, width, height) {
+        const pixelRatio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * pixelRatio);
+        canvas.height = Math.round(height * pixelRatio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        return ctx;
+    }
+
+    // One line per player, with a cross where they went out
+    drawChart() {
+        const { times, players, duration } = this.stats;
+        const width = 560;
+        const height = 280;
+        const ctx = this.prepareCanvas(this.chartCanvas, width, height);
+        const margin = { left: 44, right: 12, top: 12, bottom: 28 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        // Round the top of the scale up to the next 10%
+        const highest = Math.max(0.01, ...players.flatMap(player => player.share));
+        const top = Math.min(1, Math.ceil(highest * 10) / 10);
+        const end = Math.max(1000, duration);
+        const x = (time) => margin.left + time / end * plotWidth;
+        const y = (share) => margin.top + (1 - share / top) * plotHeight;
+
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = '11px Arial, sans-serif';
+        ctx.fillStyle = '#888';
+        ctx.strokeStyle = '#2a2a2a';
+        ctx.lineWidth = 1;
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 5; i++) {
+            const share = top * i / 5;
+            ctx.beginPath();
+            ctx.moveTo(margin.left, y(share));
+            ctx.lineTo(width - margin.right, y(share));
+            ctx.stroke();
+            ctx.fillText(`${Math.round(share * 100)}%`, margin.left - 6, y(share));
+        }
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const step = this.timeStep(end);
+        for (let time = 0; time <= end; time += step) {
+            ctx.fillText(formatMatchTime(time), x(time), height - margin.bottom + 8);
+        }
+
+        ctx.lineJoin = 'round';
+        for (const player of players) {
+            const local = player.id === this.localPlayerId;
+            ctx.strokeStyle = player.color;
+            ctx.lineWidth = local ? 3 : 1.5;
+            ctx.beginPath();
+            player.share.forEach((share, i) => {
+                if (i === 0) ctx.moveTo(x(times[i]), y(share));
+                else ctx.lineTo(x(times[i]), y(share));
+            });
+            ctx.stroke();
+
+            if (player.death) {
+                const i = times.findIndex(time => time >= player.death.time);
+                const share = player.share[i === -1 ? player.share.length - 1 : Math.max(0, i - 1)];
+                this.drawCross(ctx, x(player.death.time), y(share), 4, player.color);
+            }
+        }
+    }
+
+    // Time between the labels on the chart's time axis
+    timeStep(duration) {
+        const steps = [10000, 15000, 30000, 60000, 120000, 300000, 600000];
+        return steps.find(step => duration / step <= 8) || 1200000;
+    }
+
+    // Where one player (or everyone) spent their time, over the arena, with
+    // crosses where players went out
+    drawHeatmap() {
+        const { width, height, heatmap, players } = this.stats;
+        const renderer = this.heatmapRenderer;
+        const viewWidth = 560;
+        const viewHeight = Math.round(viewWidth * Math.min(0.75, height / width));
+        renderer.resize(viewWidth, viewHeight, window.devicePixelRatio || 1);
+
+        const ctx = renderer.ctx;
+        ctx.setTransform(renderer.pixelRatio, 0, 0, renderer.pixelRatio, 0, 0);
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, viewWidth, viewHeight);
+
+        const world = { config: { width, height, arena: this.arena } };
+        ctx.save();
+        const view = renderer.applyCamera(world, renderer.fitCamera(world));
+        renderer.drawWorld(world, view);
+
+        const selected = this.heatmapSelect.value === '' ? players
+            : players.filter(player => String(player.id) === this.heatmapSelect.value);
+        const heat = new Float64Array(heatmap.cols * heatmap.rows);
+        for (const player of selected) player.heat.forEach((ms, i) => { heat[i] += ms; });
+        const most = Math.max(1, ...heat);
+
+        // Square root, so places visited briefly still show
+        const size = heatmap.cellSize;
+        const color = selected.length === 1 ? selected[0].color : null;
+        heat.forEach((ms, i) => {
+            if (ms === 0) return;
+            const level = Math.sqrt(ms / most);
+            ctx.fillStyle = color
+                ? color + Math.round(40 + level * 200).toString(16).padStart(2, '0')
+                : `hsla(${Math.round(60 - level * 60)}, 100%, 50%, ${0.2 + level * 0.7})`;
+            ctx.fillRect((i % heatmap.cols) * size, Math.floor(i / heatmap.cols) * size, size, size);
+        });
+
+        const scale = 1 / renderer.fitCamera(world).zoom; // world px per screen px
+        for (const player of selected) {
+            if (player.death) this.drawCross(ctx, player.death.x, player.death.y, 7 * scale, player.color, 2.5 * scale);
+        }
+        ctx.restore();
+    }
+
+    drawCross(ctx, x, y, size, color, lineWidth = 2) {
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+        ctx.moveTo(x - size, y - size);
+        ctx.lineTo(x + size, y + size);
+        ctx.moveTo(x + size, y - size);
+        ctx.lineTo(x - size, y + size);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    fillLegend() {
+        const legend = document.getElementById('chartLegend');
+        legend.innerHTML = '';
+        for (const player of this.stats.players) {
+            const item = document.createElement('span');
+            item.style.color = player.color;
+            item.textContent = `■ ${player.name}`;
+            legend.appendChild(item);
+        }
+    }
+
+    fillTable() {
+        const { players, claimableArea } = this.stats;
+        const table = document.getElementById('statsTable');
+        const names = new Map(players.map(player => [player.id, player.name]));
+
+        let html = '<tr><th>Player</th><th>Final</th><th>Distance</th><th>Outside</th>' +
+            '<th>Largest capture</th><th>Captures</th><th>Kills</th><th>Out</th></tr>';
+        for (const player of players) {
+            const final = player.share[player.share.length - 1] || 0;
+            const { death } = player;
+            const out = !death ? 'Survived'
+                : `${formatMatchTime(death.time)}, ${death.cause}${death.killerId ? ` by ${escapeHtml(names.get(death.killerId) || '?')}` : ''}`;
+            html += `
+                <tr style="color: ${player.color}">
+                    <td>${escapeHtml(player.name)}${player.id === this.localPlayerId ? ' (You)' : ''}</td>
+                    <td>${(final * 100).toFixed(1)}%</td>
+                    <td>${(player.distance / 1000).toFixed(1)}k px</td>
+                    <td>${(player.outsideTime / 1000).toFixed(0)}s</td>
+                    <td>${(player.largestCapture / claimableArea * 100).toFixed(1)}%</td>
+                    <td>${player.captures}</td>
+                    <td>${player.kills}</td>
+                    <td>${out}</td>
+                </tr>
+            `;
+        }
+        table.innerHTML = html;
+    }
+}
+
+// m:ss
+function formatMatchTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,48 @@
+// How a player looks: a head skin, a trail style and a territory fill. The
+// colour still comes from the seat (or team), so every look works in every
+// colour. The renderer draws them; the server only checks that a look it is
+// sent is one of these.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    const SKINS = {
+        classic: { label: 'Classic' },
+        eyes: { label: 'Eyes' },
+        block: { label: 'Block' },
+        target: { label: 'Target' }
+    };
+
+    const TRAIL_STYLES = {
+        solid: { label: 'Solid' },
+        dashed: { label: 'Dashed' },
+        gradient: { label: 'Gradient' },
+        glow: { label: 'Glowing' }
+    };
+
+    const TERRITORY_FILLS = {
+        tint: { label: 'Tint' },
+        stripes: { label: 'Stripes' },
+        dots: { label: 'Dots' },
+        checker: { label: 'Checker' },
+        weave: { label: 'Weave' }
+    };
+
+    const DEFAULT_APPEARANCE = { skin: 'classic', trail: 'solid', fill: 'tint' };
+
+    // Anything unknown falls back to the default, so an old or tampered
+    // profile still draws
+    function normalizeAppearance(value) {
+        const appearance = value || {};
+        return {
+            skin: Object.hasOwn(SKINS, appearance.skin) ? appearance.skin : DEFAULT_APPEARANCE.skin,
+            trail: Object.hasOwn(TRAIL_STYLES, appearance.trail) ? appearance.trail : DEFAULT_APPEARANCE.trail,
+            fill: Object.hasOwn(TERRITORY_FILLS, appearance.fill) ? appearance.fill : DEFAULT_APPEARANCE.fill
+        };
+    }
+
+    return { SKINS, TRAIL_STYLES, TERRITORY_FILLS, DEFAULT_APPEARANCE, normalizeAppearance };
+});
@@ -0,0 +1,381 @@
+// Draws arenas for custom matches. Shapes are drawn by clicking their corners
+// and closed by clicking the first corner again (or Enter); spawns are single
+// clicks. Arenas are saved in the browser, where the game's arena picker
+// finds them, or exported as JSON files.
+const TOOL_HINTS = {
+    boundary: 'Click the corners of the playable area. Everything outside it is wall.',
+    obstacle: 'Click the corners of a solid block. Touching one is deadly and nobody can claim it.',
+    neutral: 'Click the corners of a zone anyone can cross but nobody can claim.',
+    spawn: 'Click where players start, in seat order (up to 8).',
+    erase: 'Click a spawn or shape to remove it; click outside the boundary to remove the boundary.'
+};
+
+const MAX_SPAWNS = 8;
+const START_RADIUS = 40; // as in the game's default match settings
+
+class ArenaEditor {
+    constructor() {
+        this.canvas = document.getElementById('editorCanvas');
+        this.renderer = new ArenaRenderer(this.canvas);
+        this.renderer.resize(this.canvas.width, this.canvas.height, window.devicePixelRatio || 1);
+        this.snap = 20; // world px corners snap to
+        this.tool = 'obstacle';
+        this.draft = []; // corners of the shape being drawn
+        this.pointer = null; // world point under the mouse
+        this.camera = null;
+
+        this.setupEventListeners();
+        this.fillLoadSelect();
+        this.setTool(this.tool);
+
+        // ?arena=custom:<name> or ?arena=<built-in> opens that one
+        const choice = new URLSearchParams(window.location.search).get('arena');
+        this.open(choice || 'builtin:classic');
+    }
+
+    get world() {
+        return { config: { width: this.arena.width, height: this.arena.height, arena: this.arena } };
+    }
+
+    setupEventListeners() {
+        document.querySelectorAll('#tools [data-tool]').forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        });
+        document.getElementById('undoPoint').addEventListener('click', () => this.undoPoint());
+        document.getElementById('finishShape').addEventListener('click', () => this.finishShape());
+        document.getElementById('clearArena').addEventListener('click', () => {
+            this.load({ ...this.toJSON(), boundary: null, obstacles: [], neutral: [], spawns: [] });
+        });
+
+        document.getElementById('arenaName').addEventListener('input', (e) => {
+            this.arena.name = e.target.value;
+        });
+        for (const key of ['width', 'height']) {
+            const input = document.getElementById(key === 'width' ? 'arenaWidth' : 'arenaHeight');
+            input.addEventListener('change', () => {
+                this.arena[key] = Math.max(400, Math.min(10000, Math.round(Number(input.value) / 100) * 100 || 2400));
+                input.value = this.arena[key];
+                this.render();
+            });
+        }
+
+        document.getElementById('loadArena').addEventListener('click', () => {
+            this.open(document.getElementById('loadSelect').value);
+        });
+        document.getElementById('deleteArena').addEventListener('click', () => this.deleteSelected());
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    this.load(parseArena(JSON.parse(reader.result)));
+                    this.setStatus(`Imported ${this.arena.name}`);
+                } catch (error) {
+                    this.setStatus(error instanceof SyntaxError ? 'That file is not valid JSON' : error.message, true);
+                }
+            };
+            reader.readAsText(file);
+        });
+
+        document.getElementById('saveArena').addEventListener('click', () => this.save());
+        document.getElementById('exportArena').addEventListener('click', () => this.export());
+        document.getElementById('playArena').addEventListener('click', () => {
+            if (this.save()) window.location.href = `game.html?arena=${encodeURIComponent(`custom:${this.arena.name}`)}`;
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            this.pointer = this.toWorld(e);
+            this.render();
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            this.pointer = null;
+            this.render();
+        });
+        this.canvas.addEventListener('click', (e) => this.handleClick(this.toWorld(e)));
+        this.canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.draft = [];
+            this.render();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+
+            if (e.key === 'Enter') {
+                this.finishShape();
+            } else if (e.key === 'Escape') {
+                this.draft = [];
+                this.render();
+            } else if (e.key === 'Backspace') {
+                this.undoPoint();
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.draft = [];
+        document.querySelectorAll('#tools [data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+        document.getElementById('toolHint').textContent = TOOL_HINTS[tool];
+        if (this.arena) this.render();
+    }
+
+    setStatus(text, isError = false) {
+        const status = document.getElementById('editorStatus');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    // Built-in arenas and the ones saved in this browser
+    fillLoadSelect() {
+        const select = document.getElementById('loadSelect');
+        select.innerHTML = '';
+        for (const [key, arena] of Object.entries(ARENAS)) select.add(new Option(`${arena.name} (built-in)`, `builtin:${key}`));
+        for (const name of Object.keys(loadCustomArenas(localStorage))) select.add(new Option(name, `custom:${name}`));
+    }
+
+    open(choice) {
+        if (choice.startsWith('custom:')) {
+            const arenas = loadCustomArenas(localStorage);
+            const name = choice.slice('custom:'.length);
+            if (!Object.hasOwn(arenas, name)) {
+                // Something to edit all the same
+                this.open('builtin:classic');
+                this.setStatus('That arena is no longer saved here', true);
+                return;
+            }
+            this.load(arenas[name]);
+        } else {
+            // Built-ins are a starting point; saving makes a custom copy
+            const arena = getArena(choice.replace('builtin:', ''));
+            this.load({ ...arena, name: `My ${arena.name}` });
+        }
+        this.setStatus('');
+    }
+
+    load(arena) {
+        this.arena = {
+            name: arena.name,
+            width: arena.width || 2400,
+            height: arena.height || 1800,
+            boundary: arena.boundary,
+            obstacles: arena.obstacles.slice(),
+            neutral: arena.neutral.slice(),
+            spawns: arena.spawns.slice()
+        };
+        this.draft = [];
+        document.getElementById('arenaName').value = this.arena.name;
+        document.getElementById('arenaWidth').value = this.arena.width;
+        document.getElementById('arenaHeight').value = this.arena.height;
+        this.render();
+    }
+
+    toJSON() {
+        const { name, width, height, boundary, obstacles, neutral, spawns } = this.arena;
+        return { format: ARENA_FORMAT, version: ARENA_VERSION, name, width, height, boundary, obstacles, neutral, spawns };
+    }
+
+    // Checks the arena and saves it in this browser. Returns false when it
+    // can't be saved yet.
+    save() {
+        let arena;
+        try {
+            arena = parseArena(this.toJSON());
+            saveCustomArena(localStorage, arena);
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return false;
+        }
+
+        this.fillLoadSelect();
+        document.getElementById('loadSelect').value = `custom:${arena.name}`;
+        const crowded = this.crowdedSpawns(arena);
+        this.setStatus(crowded.length > 0
+            ? `Saved. Spawn ${crowded.join(', ')} will be moved to open ground when played.`
+            : `Saved ${arena.name}`);
+        return true;
+    }
+
+    deleteSelected() {
+        const choice = document.getElementById('loadSelect').value;
+        if (!choice.startsWith('custom:')) {
+            this.setStatus('Built-in arenas can\'t be deleted', true);
+            return;
+        }
+        deleteCustomArena(localStorage, choice.slice('custom:'.length));
+        this.fillLoadSelect();
+        this.setStatus('Deleted');
+    }
+
+    export() {
+        let arena;
+        try {
+            arena = parseArena(this.toJSON());
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(arena, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `paperio-arena-${arena.name.replace(/[^\w-]+/g, '-').toLowerCase()}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Numbers (from 1) of the spawns without room for a starting territory
+    crowdedSpawns(arena) {
+        const map = new ArenaMap(arena, arena.width, arena.height);
+        return arena.spawns
+            .map(([x, y], i) => map.fitsCircle(x, y, START_RADIUS) ? null : i + 1)
+            .filter(Boolean);
+    }
+
+    toWorld(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const { x, y, zoom } = this.camera;
+        const world = {
+            x: (e.clientX - rect.left - this.renderer.viewWidth / 2) / zoom + x,
+            y: (e.clientY - rect.top - this.renderer.viewHeight / 2) / zoom + y
+        };
+        return {
+            x: Math.max(0, Math.min(this.arena.width, Math.round(world.x / this.snap) * this.snap)),
+            y: Math.max(0, Math.min(this.arena.height, Math.round(world.y / this.snap) * this.snap))
+        };
+    }
+
+    handleClick(point) {
+        const { arena } = this;
+
+        if (this.tool === 'spawn') {
+            if (arena.spawns.length >= MAX_SPAWNS) {
+                this.setStatus(`An arena has at most ${MAX_SPAWNS} spawns`, true);
+                return;
+            }
+            arena.spawns.push([point.x, point.y]);
+        } else if (this.tool === 'erase') {
+            this.erase(point);
+        } else {
+            // Clicking the first corner again closes the shape
+            const first = this.draft[0];
+            const closeEnough = 12 / this.camera.zoom;
+            if (this.draft.length >= 3 && Math.hypot(first[0] - point.x, first[1] - point.y) <= closeEnough) {
+                this.finishShape();
+                return;
+            }
+            const last = this.draft[this.draft.length - 1];
+            if (!last || last[0] !== point.x || last[1] !== point.y) this.draft.push([point.x, point.y]);
+        }
+        this.render();
+    }
+
+    // Spawns first, then the shape on top, then the boundary
+    erase(point) {
+        const { arena } = this;
+        const spawn = arena.spawns.findIndex(([x, y]) => Math.hypot(x - point.x, y - point.y) <= START_RADIUS);
+        if (spawn !== -1) {
+            arena.spawns.splice(spawn, 1);
+            return;
+        }
+        for (const list of [arena.obstacles, arena.neutral]) {
+            for (let i = list.length - 1; i >= 0; i--) {
+                if (pointInPolygon(point.x, point.y, list[i])) {
+                    list.splice(i, 1);
+                    return;
+                }
+            }
+        }
+        if (arena.boundary && !pointInPolygon(point.x, point.y, arena.boundary)) arena.boundary = null;
+    }
+
+    undoPoint() {
+        this.draft.pop();
+        this.render();
+    }
+
+    finishShape() {
+        if (this.draft.length < 3) {
+            if (this.draft.length > 0) this.setStatus('A shape needs at least three corners', true);
+            return;
+        }
+
+        if (this.tool === 'boundary') {
+            this.arena.boundary = this.draft;
+        } else if (this.tool === 'obstacle') {
+            this.arena.obstacles.push(this.draft);
+        } else if (this.tool === 'neutral') {
+            this.arena.neutral.push(this.draft);
+        }
+        this.draft = [];
+        this.setStatus('');
+        this.render();
+    }
+
+    render() {
+        const ctx = this.renderer.ctx;
+        const { world } = this;
+
+        ctx.setTransform(this.renderer.pixelRatio, 0, 0, this.renderer.pixelRatio, 0, 0);
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, this.renderer.viewWidth, this.renderer.viewHeight);
+
+        ctx.save();
+        this.camera = this.renderer.fitCamera(world);
+        const view = this.renderer.applyCamera(world, this.camera);
+        this.renderer.drawWorld(world, view);
+        const scale = 1 / this.camera.zoom; // world px per screen px
+
+        // Spawns with the starting territory they get
+        ctx.font = `bold ${14 * scale}px Arial, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.arena.spawns.forEach(([x, y], i) => {
+            ctx.fillStyle = 'rgba(76, 175, 80, 0.25)';
+            ctx.strokeStyle = '#4CAF50';
+            ctx.lineWidth = 2 * scale;
+            ctx.beginPath();
+            ctx.arc(x, y, START_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#fff';
+            ctx.fillText(String(i + 1), x, y);
+        });
+
+        // The shape being drawn, with a line on to the pointer
+        if (this.draft.length > 0) {
+            ctx.strokeStyle = '#f0b90b';
+            ctx.lineWidth = 2 * scale;
+            ctx.beginPath();
+            ctx.moveTo(this.draft[0][0], this.draft[0][1]);
+            for (const [x, y] of this.draft.slice(1)) ctx.lineTo(x, y);
+            if (this.pointer) ctx.lineTo(this.pointer.x, this.pointer.y);
+            ctx.stroke();
+
+            ctx.fillStyle = '#f0b90b';
+            for (const [x, y] of this.draft) {
+                ctx.beginPath();
+                ctx.arc(x, y, 4 * scale, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        if (this.pointer && this.tool !== 'erase') {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = scale;
+            ctx.beginPath();
+            ctx.arc(this.pointer.x, this.pointer.y, 6 * scale, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
+
+const editor = new ArenaEditor();
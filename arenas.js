@@ -0,0 +1,319 @@
+// Arena definitions. An arena is plain JSON, so it can ship with the game,
+// come out of the editor or travel in a match config (and so in replays):
+//
+//   {
+//     "format": "paperio-arena", "version": 1,
+//     "name": "Islands",
+//     "width": 2400, "height": 1800,        optional, the match size otherwise
+//     "boundary": [[x, y], ...],             playable area; the whole rectangle if left out
+//     "obstacles": [[[x, y], ...], ...],     solid: deadly to touch, never claimed
+//     "neutral": [[[x, y], ...], ...],       open ground nobody can claim
+//     "spawns": [[x, y], ...]                in the order seats take them
+//   }
+//
+// For the rules an arena is rasterized onto the same cells as the territory
+// grid, as an ArenaMap.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    const ARENA_FORMAT = 'paperio-arena';
+    const ARENA_VERSION = 1;
+
+    // What an ArenaMap cell is
+    const ARENA_CELL = { open: 0, solid: 1, neutral: 2 };
+
+    // An arena needs open ground somewhere with room for a spawn: the match's
+    // default size when it has none of its own, and the room createMatchConfig
+    // asks for around a spawn with the default start radius
+    const DEFAULT_ARENA_SIZE = { width: 2400, height: 1800 };
+    const SPAWN_ROOM = 60;
+
+    const rect = (left, top, right, bottom) => [[left, top], [right, top], [right, bottom], [left, bottom]];
+
+    const ARENAS = {
+        classic: {
+            name: 'Classic'
+        },
+
+        islands: {
+            name: 'Islands',
+            width: 2400,
+            height: 1800,
+            obstacles: [
+                [[1200, 720], [1320, 900], [1200, 1080], [1080, 900]],
+                rect(640, 840, 760, 960),
+                rect(1640, 840, 1760, 960),
+                rect(1140, 300, 1260, 420),
+                rect(1140, 1380, 1260, 1500)
+            ],
+            spawns: [[300, 300], [2100, 1500], [2100, 300], [300, 1500],
+                [1200, 150], [1200, 1650], [150, 900], [2250, 900]]
+        },
+
+        // Corners cut off, with no man's land in the middle
+        octagon: {
+            name: 'Octagon',
+            width: 2400,
+            height: 1800,
+            boundary: [[450, 0], [1950, 0], [2400, 450], [2400, 1350], [1950, 1800], [450, 1800], [0, 1350], [0, 450]],
+            neutral: [[[1200, 700], [1400, 900], [1200, 1100], [1000, 900]]],
+            spawns: [[450, 450], [1950, 1350], [1950, 450], [450, 1350],
+                [1200, 200], [1200, 1600], [200, 900], [2200, 900]]
+        },
+
+        crossroads: {
+            name: 'Crossroads',
+            width: 2400,
+            height: 1800,
+            boundary: [[800, 0], [1600, 0], [1600, 600], [2400, 600], [2400, 1200], [1600, 1200],
+                [1600, 1800], [800, 1800], [800, 1200], [0, 1200], [0, 600], [800, 600]],
+            neutral: [rect(1050, 750, 1350, 1050)],
+            spawns: [[1200, 200], [1200, 1600], [200, 900], [2200, 900],
+                [1000, 450], [1400, 1350], [550, 1050], [1850, 750]]
+        }
+    };
+
+    function getArena(name) {
+        return parseArena(Object.hasOwn(ARENAS, name) ? ARENAS[name] : ARENAS.classic);
+    }
+
+    // Validates arena data, throwing an Error that explains what's wrong, and
+    // returns a clean copy with every field filled in
+    function parseArena(data) {
+        if (!data || typeof data !== 'object') throw new Error('Not a Paper.io Arena arena file');
+        if (data.format !== undefined && data.format !== ARENA_FORMAT) throw new Error('Not a Paper.io Arena arena file');
+        if (data.version !== undefined && data.version !== ARENA_VERSION) {
+            throw new Error(`Unsupported arena version ${data.version} (expected ${ARENA_VERSION})`);
+        }
+
+        const name = String(data.name || '').trim().slice(0, 32);
+        if (!name) throw new Error('The arena needs a name');
+
+        const size = (key) => {
+            if (data[key] === undefined || data[key] === null) return null;
+            const value = Number(data[key]);
+            if (!(value >= 400 && value <= 10000)) throw new Error(`The arena ${key} must be between 400 and 10000`);
+            return value;
+        };
+        const width = size('width');
+        const height = size('height');
+
+        const point = (value, what) => {
+            if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+                throw new Error(`${what} has a point that isn't [x, y]`);
+            }
+            return [value[0], value[1]];
+        };
+        const polygon = (value, what) => {
+            if (!Array.isArray(value) || value.length < 3) throw new Error(`${what} needs at least three points`);
+            return value.map(p => point(p, what));
+        };
+        const polygons = (key, what) => {
+            if (data[key] === undefined) return [];
+            if (!Array.isArray(data[key])) throw new Error(`${what} must be a list of polygons`);
+            return data[key].map((shape, i) => polygon(shape, `${what} ${i + 1}`));
+        };
+
+        const arena = {
+            format: ARENA_FORMAT,
+            version: ARENA_VERSION,
+            name,
+            width,
+            height,
+            boundary: data.boundary ? polygon(data.boundary, 'The boundary') : null,
+            obstacles: polygons('obstacles', 'Obstacle'),
+            neutral: polygons('neutral', 'Neutral zone'),
+            spawns: Array.isArray(data.spawns) ? data.spawns.map(p => point(p, 'A spawn')) : []
+        };
+
+        const map = new ArenaMap(arena, width || DEFAULT_ARENA_SIZE.width, height || DEFAULT_ARENA_SIZE.height);
+        if (map.claimableArea === 0) throw new Error('The arena has no open ground to play on');
+        const spot = map.findOpenPoint(map.width / 2, map.height / 2, SPAWN_ROOM);
+        if (!map.fitsCircle(spot.x, spot.y, SPAWN_ROOM)) throw new Error('The arena has no open ground with room for a spawn');
+        return arena;
+    }
+
+    // A plain rectangle with nothing in it plays like no arena at all
+    function isPlainArena(arena) {
+        return !arena.boundary && arena.obstacles.length === 0 && arena.neutral.length === 0 && arena.spawns.length === 0;
+    }
+
+    // Even-odd test against a polygon of [x, y] points
+    function pointInPolygon(x, y, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [xi, yi] = points[i];
+            const [xj, yj] = points[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    // Arenas saved from the editor live in the browser's storage by name.
+    // Names are typed by the player, so the map has no prototype and is read
+    // with Object.hasOwn.
+    const STORAGE_KEY = 'paperio:arenas';
+
+    function loadCustomArenas(storage) {
+        try {
+            const saved = JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+            const arenas = Object.create(null);
+            for (const [name, data] of Object.entries(saved)) {
+                try {
+                    arenas[name] = parseArena(data);
+                } catch (error) {
+                    // A broken entry shouldn't hide the others
+                }
+            }
+            return arenas;
+        } catch (error) {
+            return Object.create(null);
+        }
+    }
+
+    function saveCustomArena(storage, arena) {
+        const arenas = loadCustomArenas(storage);
+        arenas[arena.name] = parseArena(arena);
+        storage.setItem(STORAGE_KEY, JSON.stringify(arenas));
+    }
+
+    function deleteCustomArena(storage, name) {
+        const arenas = loadCustomArenas(storage);
+        delete arenas[name];
+        storage.setItem(STORAGE_KEY, JSON.stringify(arenas));
+    }
+
+    // An arena rasterized onto cells (see ARENA_CELL). Everything beyond the
+    // world's edges counts as solid.
+    class ArenaMap {
+        constructor(arena, width, height, cellSize = 4) {
+            this.arena = arena;
+            this.width = width;
+            this.height = height;
+            this.cellSize = cellSize;
+            this.cols = Math.ceil(width / cellSize);
+            this.rows = Math.ceil(height / cellSize);
+            this.cells = new Uint8Array(this.cols * this.rows);
+
+            if (arena) {
+                if (arena.boundary) {
+                    this.cells.fill(ARENA_CELL.solid);
+                    this.fillPolygon(arena.boundary, ARENA_CELL.open);
+                }
+                for (const shape of arena.neutral) this.fillPolygon(shape, ARENA_CELL.neutral);
+                for (const shape of arena.obstacles) this.fillPolygon(shape, ARENA_CELL.solid);
+            }
+
+            let open = 0;
+            for (const cell of this.cells) if (cell === ARENA_CELL.open) open++;
+            this.claimableArea = open * cellSize * cellSize;
+        }
+
+        // Scanline fill of the cells whose centres are inside the polygon
+        fillPolygon(points, kind) {
+            const size = this.cellSize;
+            const ys = points.map(p => p[1]);
+            const minRow = Math.max(0, Math.floor(Math.min(...ys) / size));
+            const maxRow = Math.min(this.rows - 1, Math.floor(Math.max(...ys) / size));
+
+            for (let row = minRow; row <= maxRow; row++) {
+                const y = (row + 0.5) * size;
+                const crossings = [];
+                for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                    const [xi, yi] = points[i];
+                    const [xj, yj] = points[j];
+                    if ((yi > y) !== (yj > y)) crossings.push((xj - xi) * (y - yi) / (yj - yi) + xi);
+                }
+                crossings.sort((a, b) => a - b);
+                for (let k = 0; k + 1 < crossings.length; k += 2) {
+                    const from = Math.max(0, Math.ceil(crossings[k] / size - 0.5));
+                    const to = Math.min(this.cols - 1, Math.floor(crossings[k + 1] / size - 0.5));
+                    this.cells.fill(kind, row * this.cols + from, row * this.cols + to + 1);
+                }
+            }
+        }
+
+        kindAt(x, y) {
+            const col = Math.floor(x / this.cellSize);
+            const row = Math.floor(y / this.cellSize);
+            if (col < 0 || col >= this.cols || row < 0 || row >= this.rows) return ARENA_CELL.solid;
+            return this.cells[row * this.cols + col];
+        }
+
+        isSolid(x, y) {
+            return this.kindAt(x, y) === ARENA_CELL.solid;
+        }
+
+        // Whether a point and everything within margin of it along the axes
+        // can be driven over
+        isOpen(x, y, margin = 0) {
+            return !this.isSolid(x, y) && !this.isSolid(x - margin, y) && !this.isSolid(x + margin, y) &&
+                !this.isSolid(x, y - margin) && !this.isSolid(x, y + margin);
+        }
+
+        // Free distance from a point along a direction before coming within
+        // margin of anything solid, up to limit
+        distanceToSolid(x, y, dir, margin, limit) {
+            const step = this.cellSize * 2;
+            for (let d = 0; d <= limit; d += step) {
+                if (!this.isOpen(x + dir.x * d, y + dir.y * d, margin)) return Math.max(0, d - step);
+            }
+            return limit;
+        }
+
+        // Whether a circle of claimable ground fits around a point
+        fitsCircle(x, y, radius) {
+            if (this.kindAt(x, y) !== ARENA_CELL.open) return false;
+            for (let i = 0; i < 16; i++) {
+                const angle = i * Math.PI / 8;
+                if (this.kindAt(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius) !== ARENA_CELL.open) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        // The closest point to (x, y) with room for a circle of open ground,
+        // searching outwards in square rings; (x, y) itself if there's none
+        findOpenPoint(x, y, radius) {
+            const step = this.cellSize * 2;
+            const maxRing = Math.ceil(Math.max(this.width, this.height) / step);
+            for (let ring = 0; ring <= maxRing; ring++) {
+                let best = null;
+                let bestDistance = Infinity;
+                for (let i = -ring; i <= ring; i++) {
+                    for (const [dx, dy] of [[i, -ring], [i, ring], [-ring, i], [ring, i]]) {
+                        const px = x + dx * step;
+                        const py = y + dy * step;
+                        const distance = dx * dx + dy * dy;
+                        if (distance < bestDistance && this.fitsCircle(px, py, radius)) {
+                            best = { x: px, y: py };
+                            bestDistance = distance;
+                        }
+                    }
+                }
+                if (best) return best;
+            }
+            return { x, y };
+        }
+    }
+
+    return {
+        ARENAS,
+        ARENA_CELL,
+        ARENA_FORMAT,
+        ARENA_VERSION,
+        ArenaMap,
+        getArena,
+        parseArena,
+        isPlainArena,
+        pointInPolygon,
+        loadCustomArenas,
+        saveCustomArena,
+        deleteCustomArena
+    };
+});
@@ -0,0 +1,210 @@
+// Sound for the game, all of it made with the Web Audio API as it plays:
+// short effects for what happens around the local player, a danger pulse
+// that quickens as an opponent nears their open trail, and a music loop that
+// speeds up as the clock runs down. Browsers only let audio start once the
+// player has interacted with the page, so nothing is made before that.
+
+// Am, F, C, G as MIDI notes, a bar each
+const MUSIC_CHORDS = [[57, 60, 64], [53, 57, 60], [48, 52, 55], [55, 59, 62]];
+const MUSIC_TEMPO = 100; // beats a minute at normal speed
+const MUSIC_STEPS = 8; // eighth notes in a bar
+
+function midiFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// Each effect gets the GameAudio, an amount from the game (see play) and the
+// time to start at
+const SOUND_EFFECTS = {
+    // Stepping out of our land: a short rising blip
+    leave: (audio, amount, at) => {
+        audio.tone(440, at, 0.08, { type: 'triangle', slideTo: 660, volume: 0.2 });
+    },
+    // A loop closed: a quick arpeggio, reaching higher for bigger captures
+    capture: (audio, amount, at) => {
+        const notes = amount > 0.05 ? [72, 76, 79, 84] : amount > 0.01 ? [72, 76, 79] : [72, 76];
+        notes.forEach((note, i) => audio.tone(midiFrequency(note), at + i * 0.06, 0.15, { type: 'square', volume: 0.12 }));
+    },
+    pickup: (audio, amount, at) => {
+        audio.tone(880, at, 0.1, { type: 'sine', slideTo: 1320, volume: 0.2 });
+    },
+    // We knocked someone out
+    kill: (audio, amount, at) => {
+        audio.noise(at, 0.15, { frequency: 2000, volume: 0.3 });
+        audio.tone(midiFrequency(79), at, 0.12, { type: 'square', volume: 0.12 });
+        audio.tone(midiFrequency(84), at + 0.1, 0.2, { type: 'square', volume: 0.12 });
+    },
+    // Someone else went out
+    elimination: (audio, amount, at) => {
+        audio.noise(at, 0.2, { frequency: 800, volume: 0.2 });
+    },
+    // We went out: a crash and a falling tone
+    eliminated: (audio, amount, at) => {
+        audio.noise(at, 0.5, { frequency: 500, volume: 0.5 });
+        audio.tone(330, at, 0.6, { type: 'sawtooth', slideTo: 55, volume: 0.25 });
+    },
+    // Each of the last seconds; amount is how many are left
+    countdown: (audio, amount, at) => {
+        audio.tone(amount <= 3 ? 1320 : 990, at, 0.06, { type: 'square', volume: 0.15 });
+    },
+    // One beat of the danger pulse; amount is how close the danger is, 0 to 1
+    danger: (audio, amount, at) => {
+        audio.tone(160 + amount * 160, at, 0.12, { type: 'sawtooth', slideTo: 80, volume: 0.1 + amount * 0.25 });
+    },
+    win: (audio, amount, at) => {
+        [72, 76, 79, 84, 88].forEach((note, i) => audio.tone(midiFrequency(note), at + i * 0.1, 0.3, { type: 'triangle', volume: 0.2 }));
+    },
+    lose: (audio, amount, at) => {
+        [64, 60, 57, 52].forEach((note, i) => audio.tone(midiFrequency(note), at + i * 0.15, 0.35, { type: 'triangle', volume: 0.2 }));
+    }
+};
+
+class GameAudio {
+    constructor() {
+        this.context = null; // made on the first interaction with the page
+        this.volumes = { master: 0.8, sfx: 0.8, music: 0.5 };
+        this.muted = false;
+        this.lookahead = 0.2; // seconds of music and pulse scheduled ahead
+        this.dangerRange = 300; // px from our trail where an opponent starts to count
+        this.nextNoteTime = 0;
+        this.noteIndex = 0;
+        this.nextPulseTime = 0;
+        this.noiseBuffer = null;
+
+        const unlock = () => this.unlock();
+        for (const type of ['pointerdown', 'keydown', 'touchstart']) {
+            document.addEventListener(type, unlock);
+        }
+        // Quiet while the tab is in the background
+        document.addEventListener('visibilitychange', () => {
+            if (!this.context) return;
+            if (document.hidden) this.context.suspend();
+            else this.context.resume();
+        });
+    }
+
+    // Starts audio from inside an input handler, as autoplay rules require
+    unlock() {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) return;
+            this.context = new AudioContext();
+            this.master = this.context.createGain();
+            this.master.connect(this.context.destination);
+            this.sfx = this.context.createGain();
+            this.sfx.connect(this.master);
+            this.music = this.context.createGain();
+            this.music.connect(this.master);
+            this.applyVolumes();
+        }
+        if (this.context.state === 'suspended' && !document.hidden) this.context.resume();
+    }
+
+    get running() {
+        return this.context !== null && this.context.state === 'running' && !this.muted;
+    }
+
+    // Volumes from 0 to 1
+    setVolumes({ master, sfx, music, muted }) {
+        this.volumes = { master, sfx, music };
+        this.muted = muted;
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+        // Eased, so a change doesn't click
+        const now = this.context.currentTime;
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volumes.master, now, 0.02);
+        this.sfx.gain.setTargetAtTime(this.volumes.sfx, now, 0.02);
+        this.music.gain.setTargetAtTime(this.volumes.music, now, 0.02);
+    }
+
+    // name: one of SOUND_EFFECTS
+    play(name, amount = 1) {
+        if (!this.running) return;
+        SOUND_EFFECTS[name](this, amount, this.context.currentTime);
+    }
+
+    // Called every frame. danger: 0 to 1, see dangerRange; musicSpeed: 1 is
+    // normal tempo, 0 stops the music
+    update(danger, musicSpeed) {
+        if (!this.running) return;
+        const now = this.context.currentTime;
+        const until = now + this.lookahead;
+
+        // Beats come quicker the closer the danger
+        if (danger <= 0) {
+            this.nextPulseTime = now;
+        } else {
+            this.nextPulseTime = Math.max(this.nextPulseTime, now);
+            while (this.nextPulseTime < until) {
+                SOUND_EFFECTS.danger(this, danger, this.nextPulseTime);
+                this.nextPulseTime += 0.6 - danger * 0.45;
+            }
+        }
+
+        if (musicSpeed <= 0) {
+            this.nextNoteTime = now;
+            return;
+        }
+        // After a pause, pick up from now instead of catching up
+        if (this.nextNoteTime < now) this.nextNoteTime = now + 0.05;
+        const step = 60 / (MUSIC_TEMPO * musicSpeed) / 2;
+        while (this.nextNoteTime < until) {
+            this.scheduleNote(this.noteIndex, this.nextNoteTime, step);
+            this.nextNoteTime += step;
+            this.noteIndex = (this.noteIndex + 1) % (MUSIC_CHORDS.length * MUSIC_STEPS);
+        }
+    }
+
+    // A bass note on the beat and an arpeggio over the bar's chord
+    scheduleNote(index, at, step) {
+        const chord = MUSIC_CHORDS[Math.floor(index / MUSIC_STEPS)];
+        const position = index % MUSIC_STEPS;
+        if (position % 4 === 0) {
+            this.tone(midiFrequency(chord[0] - 12), at, step * 3, { type: 'triangle', volume: 0.25, output: this.music });
+        }
+        const note = chord[position % chord.length] + (position >= 4 ? 12 : 0);
+        this.tone(midiFrequency(note), at, step * 0.9, { type: 'square', volume: 0.05, output: this.music });
+    }
+
+    // One oscillator note with a quick attack and a falling tail
+    tone(frequency, at, duration, { type = 'sine', slideTo = null, volume = 0.2, output = this.sfx } = {}) {
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, at);
+        if (slideTo) oscillator.frequency.exponentialRampToValueAtTime(slideTo, at + duration);
+        gain.gain.setValueAtTime(0.0001, at);
+        gain.gain.exponentialRampToValueAtTime(volume, at + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, at + duration);
+        oscillator.connect(gain);
+        gain.connect(output);
+        oscillator.start(at);
+        oscillator.stop(at + duration + 0.02);
+    }
+
+    // A burst of filtered white noise
+    noise(at, duration, { frequency = 1000, volume = 0.3 } = {}) {
+        if (!this.noiseBuffer) {
+            const length = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+        }
+        const source = this.context.createBufferSource();
+        const filter = this.context.createBiquadFilter();
+        const gain = this.context.createGain();
+        source.buffer = this.noiseBuffer;
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(frequency, at);
+        gain.gain.setValueAtTime(volume, at);
+        gain.gain.exponentialRampToValueAtTime(0.0001, at + duration);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.sfx);
+        source.start(at);
+        source.stop(at + duration);
+    }
+}
@@ -1,455 +1,764 @@
+// Player names come from other people when playing online
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
 class SmoothPaperIOGame {
     constructor() {
         this.canvas = document.getElementById('gameCanvas');
-        this.ctx = this.canvas.getContext('2d');
-        
-        // Game settings
-        this.playerSpeed = 120; // pixels per second
-        this.aiSpeed = 100;
-        this.playerSize = 8;
-        this.trailWidth = 4;
+        const params = new URLSearchParams(window.location.search);
+        // ?renderer=webgl puts the cached layers on screen with WebGL; ?fps
+        // starts with the frame stats overlay up (` toggles it)
+        this.renderer = new ArenaRenderer(this.canvas, { backend: params.get('renderer') });
+        this.frameStats = new FrameStats();
+        this.showStats = params.has('fps');
+        this.minimap = new MinimapRenderer(document.getElementById('minimap'));
+        this.input = new InputController(this.canvas);
+        this.profile = new ProfileClient();
+        this.analytics = new MatchAnalytics();
+        this.displaySettings = loadSettings(); // palette and accessibility, kept in localStorage
+        this.announcer = new Announcer(
+            document.getElementById('politeAnnouncements'),
+            document.getElementById('urgentAnnouncements')
+        );
+        this.audio = new GameAudio();
+        this.wasOutside = false; // whether our trail was open last frame, for the sound of leaving
+        this.timerSecond = null; // the whole second last shown on the timer
+        this.scoreRows = new Map(); // player id -> the elements of their row in #scores
+        this.scoreRowsSim = null; // the match the rows were built for
+        this.minimapInterval = 100; // ms between minimap redraws
+        this.lastMinimapTime = 0;
+        
+        // Eases towards the local player; cameraSpeed is how quickly it closes the gap
+        this.camera = { x: 0, y: 0, zoom: 1 };
+        this.cameraSpeed = 8;
+        
+        this.tickRate = 60; // simulation ticks per second
+        
+        // ?bots=easy|normal|hard|mixed, or one strategy per bot like ?bots=easy,hard,hard
+        this.botDifficulty = params.get('bots') || 'normal';
+        
+        // Match settings for offline play: ?mode=ffa|teams|lms|timed, ?players=6, ?teams=3,
+        // ?arena=islands or ?arena=custom:<name> for one saved from the editor
+        this.arenaChoice = params.get('arena') || 'classic';
+        // ?tutorial, or ?practice=exposed|corner|duel for a practice scenario
+        const lessonChoice = params.has('tutorial') ? 'tutorial' : params.get('practice');
+        this.lesson = Object.hasOwn(LESSONS, lessonChoice || '') ? new Lesson(lessonChoice) : null;
+        this.lessonPanel = new LessonPanel({
+            onContinue: () => this.lesson && this.lesson.confirm(),
+            onRetry: () => this.restart(),
+            onNext: () => this.startLesson(this.lesson.nextPractice)
+        });
+        this.settings = createMatchSettings({
+            mode: params.get('mode'),
+            players: params.get('players'),
+            teamCount: params.get('teams'),
+            arena: this.resolveArena(this.arenaChoice)
+        });
         
         // Game state
-        this.players = [];
+        this.sim = null;
+        this.recorder = null;
+        this.telemetry = null; // stats for the analytics once the match is over
+        this.replay = null; // finished match, sent by the server when online
+        this.network = null; // set when playing on a server
+        this.localPlayerId = null;
+        this.spectateId = null; // player watched once ours is out (or when we have none)
+        this.overview = false; // watching the whole arena instead
+        this.aiControllers = [];
         this.gameRunning = false;
-        this.gameStartTime = 0;
-        this.gameTimeLimit = 180000; // 3 minutes
+        this.killFeed = []; // recent eliminations drawn over the arena: { parts, addedAt }
+        this.killFeedDuration = 5000; // ms an entry stays up
         this.lastFrameTime = 0;
-        
-        // Colors for players
-        this.colors = [
-            '#FF6B6B', // Red - Human player
-            '#4ECDC4', // Teal
-            '#45B7D1', // Blue  
-            '#96CEB4', // Green
-            '#FFEAA7', // Yellow
-            '#DDA0DD', // Plum
-            '#98D8C8', // Mint
-            '#F7DC6F'  // Light Yellow
-        ];
-        
-        this.initializeGame();
+        this.accumulator = 0;
+        this.applySettings();
+        
+        // ?online plays in the server's open room, ?room=...&ticket=... in a lobby
+        // match, and ?server=ws://... on another server; add &spectate to watch
+        // without taking a seat
+        const serverUrl = this.getServerUrl();
+        if (serverUrl) {
+            this.network = new NetworkSession(serverUrl, this);
+        } else {
+            this.initializeGame();
+        }
         this.setupEventListeners();
+        this.resize();
         this.gameLoop();
     }
 
+    get players() {
+        return this.sim ? this.sim.state.players : [];
+    }
+
+    getLocalPlayer() {
+        return this.sim ? this.sim.getPlayer(this.localPlayerId) : null;
+    }
+
+    // A built-in arena's name, or the data of one saved from the editor
+    resolveArena(choice) {
+        if (!choice.startsWith('custom:')) return choice;
+        const arenas = loadCustomArenas(localStorage);
+        const name = choice.slice('custom:'.length);
+        return Object.hasOwn(arenas, name) ? arenas[name] : null;
+    }
+
+    getServerUrl() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('server')) return params.get('server');
+        if (!params.has('online') && !params.has('room')) return null;
+
+        const query = new URLSearchParams();
+        for (const key of ['room', 'ticket', 'name', 'spectate']) {
+            if (params.has(key)) query.set(key, params.get(key));
+        }
+        if (!query.has('name') && this.profile.name) query.set('name', this.profile.name);
+        const { skin, trail, fill } = this.profile.appearance;
+        query.set('skin', skin);
+        query.set('trail', trail);
+        query.set('fill', fill);
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}/ws?${query}`;
+    }
+
     initializeGame() {
-        this.players = [];
-        
-        // Create players with starting positions in corners
-        const startPositions = [
-            { x: 100, y: 100 },     // Top-left (Human)
-            { x: 700, y: 100 },     // Top-right
-            { x: 100, y: 500 },     // Bottom-left
-            { x: 700, y: 500 }      // Bottom-right
-        ];
-
-        for (let i = 0; i < 4; i++) {
-            const player = {
-                id: i + 1,
-                x: startPositions[i].x,
-                y: startPositions[i].y,
-                direction: { x: 0, y: 0 },
-                color: this.colors[i],
-                trail: [],
-                territory: [],
-                alive: true,
-                isHuman: i === 0,
-                speed: i === 0 ? this.playerSpeed : this.aiSpeed,
-                lastDirectionChange: 0,
-                aiTarget: null
-            };
-
-            // Create initial territory (circle around starting position)
-            this.createInitialTerritory(player);
-            this.players.push(player);
+        // The first seat is ours, the mode places everyone, unless it's a
+        // lesson, which sets up its own match
+        const seat = {
+            isHuman: true,
+            name: this.profile.name || undefined,
+            appearance: this.profile.appearance
+        };
+        const config = this.lesson ? this.lesson.createConfig(seat) : createMatchConfig(this.settings, [seat]);
+        const { players } = config;
+
+        // ?seed=123 replays a specific match
+        const params = new URLSearchParams(window.location.search);
+        this.seed = params.has('seed') ? Number(params.get('seed')) >>> 0 : Math.floor(Math.random() * 0x100000000);
+
+        this.sim = new PaperIOSimulation({ ...config, tickRate: this.tickRate }, this.seed);
+        applyPalette(this.sim.state.players, this.displaySettings.palette);
+
+        this.recorder = new ReplayRecorder(this.sim);
+        if (this.lesson) {
+            this.aiControllers = this.lesson.start(this.sim, players[0].id, this.recorder, this.botDifficulty);
+        } else {
+            const bots = players.filter(player => !player.isHuman);
+            const strategies = pickStrategies(this.botDifficulty, bots.length);
+            this.aiControllers = bots.map((player, i) => new AIController(this.sim, player.id, strategies[i]));
         }
+        this.telemetry = new MatchTelemetry(this.sim);
+        this.replay = null;
 
+        this.localPlayerId = players[0].id;
+        this.input.clear();
+        this.resetSpectating();
+        this.killFeed = [];
         this.gameRunning = true;
-        this.gameStartTime = Date.now();
         this.lastFrameTime = Date.now();
+        this.accumulator = 0;
+        this.centerCamera();
         this.updateScores();
+        this.lessonPanel.update(this.lesson);
     }
 
-    createInitialTerritory(player) {
-        const radius = 40;
-        const points = [];
-        const segments = 16;
-        
-        for (let i = 0; i < segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            points.push({
-                x: player.x + Math.cos(angle) * radius,
-                y: player.y + Math.sin(angle) * radius
-            });
-        }
-        
-        player.territory = [points];
+    // name: a key of LESSONS, or null to go back to normal matches
+    startLesson(name) {
+        this.lesson = name ? new Lesson(name) : null;
+        document.getElementById('lessonSelect').value = name || '';
+        this.restart();
     }
 
-    setupEventListeners() {
-        const keys = {};
-        
-        document.addEventListener('keydown', (e) => {
-            keys[e.key] = true;
-            this.handleInput(keys);
-            e.preventDefault();
-        });
+    // Builds the local copy of a server match; snapshots keep it up to date
+    startOnlineMatch(welcome) {
+        this.seed = welcome.seed;
+        this.sim = new PaperIOSimulation(welcome.config, welcome.seed);
+        applyPalette(this.sim.state.players, this.displaySettings.palette);
+        this.aiControllers = [];
+        this.recorder = null;
+        this.telemetry = new MatchTelemetry(this.sim);
+        this.replay = null;
+        this.localPlayerId = welcome.playerId;
+        this.singleMatch = welcome.singleMatch;
+        this.input.clear();
+        this.resetSpectating();
+        this.killFeed = [];
+        this.gameRunning = true;
+        this.lastFrameTime = Date.now();
+        this.accumulator = 0;
+        this.centerCamera();
         
-        document.addEventListener('keyup', (e) => {
-            keys[e.key] = false;
-        });
+        document.getElementById('gameOver').style.display = 'none';
+        this.updateScores();
     }
 
-    handleInput(keys) {
-        if (!this.gameRunning) return;
-        
-        const player = this.players[0]; // Human player
-        if (!player.alive) return;
+    // Out of the match, or watching one without a seat
+    isSpectating() {
+        const player = this.getLocalPlayer();
+        return !!this.sim && (!player || !player.alive);
+    }
 
-        let newDirection = { ...player.direction };
-        
-        if (keys['ArrowUp'] && player.direction.y !== 1) {
-            newDirection = { x: 0, y: -1 };
-        } else if (keys['ArrowDown'] && player.direction.y !== -1) {
-            newDirection = { x: 0, y: 1 };
-        } else if (keys['ArrowLeft'] && player.direction.x !== 1) {
-            newDirection = { x: -1, y: 0 };
-        } else if (keys['ArrowRight'] && player.direction.x !== -1) {
-            newDirection = { x: 1, y: 0 };
+    resetSpectating() {
+        this.spectateId = null;
+        this.overview = false;
+        if (this.isSpectating()) this.cycleSpectate(1);
+    }
+
+    // Watches whoever knocked us out, or the next player still in
+    startSpectating(killerId) {
+        this.input.clear();
+        this.overview = false;
+        const killer = killerId ? this.sim.getPlayer(killerId) : null;
+        if (killer && killer.alive) {
+            this.spectateId = killer.id;
+        } else {
+            this.cycleSpectate(1);
         }
-        
-        player.direction = newDirection;
+        this.lastMinimapTime = 0;
     }
 
-    gameLoop() {
-        const currentTime = Date.now();
-        const deltaTime = (currentTime - this.lastFrameTime) / 1000; // Convert to seconds
-        this.lastFrameTime = currentTime;
+    // Steps through the players still in, in seat order
+    cycleSpectate(step) {
+        const alive = this.players.filter(player => player.alive);
+        this.overview = false;
+        this.lastMinimapTime = 0;
+        if (alive.length === 0) return;
         
-        if (this.gameRunning) {
-            this.updatePlayers(deltaTime);
-            this.checkCollisions();
-            this.updateAI(currentTime);
-            this.checkGameEnd();
-            this.updateTimer();
+        const at = alive.findIndex(player => player.id === this.spectateId);
+        const next = at === -1 ? (step > 0 ? 0 : alive.length - 1) : (at + step + alive.length) % alive.length;
+        this.spectateId = alive[next].id;
+    }
+
+    toggleOverview() {
+        const target = this.sim.getPlayer(this.spectateId);
+        if (this.overview && (!target || !target.alive)) {
+            this.cycleSpectate(1);
+        } else {
+            this.overview = !this.overview;
         }
-        
-        this.render();
-        requestAnimationFrame(() => this.gameLoop());
+        this.lastMinimapTime = 0;
     }
 
-    updatePlayers(deltaTime) {
-        for (const player of this.players) {
-            if (!player.alive || (player.direction.x === 0 && player.direction.y === 0)) continue;
+    handleDisconnect() {
+        this.gameRunning = false;
+        document.getElementById('timer').textContent = 'Offline';
+    }
+
+    setupEventListeners() {
+        this.setupKeyBindings();
+        this.setupSettingsMenu();
+        window.addEventListener('resize', () => this.resize());
+        this.watchPixelRatio();
+        document.addEventListener('keydown', (e) => {
+            // Not while it's being bound or steers
+            if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            if (e.code === 'Backquote') this.showStats = !this.showStats;
+            if (e.code === 'KeyM') this.toggleMute();
+            if (e.code === 'KeyR' && this.lesson && this.lesson.practice) this.restart();
+            if (e.code === 'Enter' && this.lesson && e.target.tagName !== 'BUTTON') this.lesson.confirm();
+        });
+        
+        document.getElementById('spectatePrev').addEventListener('click', () => this.cycleSpectate(-1));
+        document.getElementById('spectateNext').addEventListener('click', () => this.cycleSpectate(1));
+        document.getElementById('spectateOverview').addEventListener('click', () => this.toggleOverview());
+        
+        // Bots, mode and arena are the server's call in online matches
+        const botSelect = document.getElementById('botDifficulty');
+        const modeSelect = document.getElementById('matchMode');
+        const arenaSelect = document.getElementById('arenaSelect');
+        const lessonSelect = document.getElementById('lessonSelect');
+        if (this.network) {
+            botSelect.parentElement.style.display = 'none';
+            modeSelect.parentElement.style.display = 'none';
+            arenaSelect.parentElement.style.display = 'none';
+            lessonSelect.parentElement.style.display = 'none';
+        } else {
+            for (const name of PRACTICE_SCENARIOS) lessonSelect.add(new Option(LESSONS[name].name, name));
+            lessonSelect.value = this.lesson ? this.lesson.name : '';
+            lessonSelect.addEventListener('change', () => this.startLesson(lessonSelect.value || null));
             
-            const oldX = player.x;
-            const oldY = player.y;
+            // Mode and arena are for matches, so picking one ends any lesson
+            modeSelect.value = this.settings.mode;
+            modeSelect.addEventListener('change', () => {
+                this.settings = createMatchSettings({ ...this.settings, mode: modeSelect.value });
+                this.startLesson(null);
+            });
             
-            // Update position based on direction and speed
-            player.x += player.direction.x * player.speed * deltaTime;
-            player.y += player.direction.y * player.speed * deltaTime;
+            for (const [key, arena] of Object.entries(ARENAS)) arenaSelect.add(new Option(arena.name, key));
+            for (const name of Object.keys(loadCustomArenas(localStorage))) {
+                arenaSelect.add(new Option(`${name} (custom)`, `custom:${name}`));
+            }
+            arenaSelect.value = this.arenaChoice;
+            arenaSelect.addEventListener('change', () => {
+                this.arenaChoice = arenaSelect.value;
+                this.settings = createMatchSettings({ ...this.settings, arena: this.resolveArena(this.arenaChoice) });
+                this.startLesson(null);
+            });
             
-            // Check if player is outside their territory
-            if (!this.isInTerritory(player, player.x, player.y)) {
-                // Add to trail if we moved significantly
-                const distance = Math.sqrt((player.x - oldX) ** 2 + (player.y - oldY) ** 2);
-                if (distance > 2) {
-                    player.trail.push({ x: oldX, y: oldY });
-                }
-            } else if (player.trail.length > 0) {
-                // Player returned to territory, close the trail
-                this.closeTrail(player);
+            if (![...botSelect.options].some(option => option.value === this.botDifficulty)) {
+                botSelect.add(new Option('Custom', this.botDifficulty));
             }
+            botSelect.value = this.botDifficulty;
+            botSelect.addEventListener('change', () => {
+                this.botDifficulty = botSelect.value;
+                this.restart();
+            });
         }
     }
 
-    updateAI(currentTime) {
-        for (const player of this.players) {
-            if (!player.alive || player.isHuman) continue;
-            
-            // Change direction occasionally or when needed
-            if (currentTime - player.lastDirectionChange > 1000 + Math.random() * 2000) {
-                this.updateAIDirection(player);
-                player.lastDirectionChange = currentTime;
+    // The settings dialog; changes apply and are saved as they're made
+    setupSettingsMenu() {
+        const menu = document.getElementById('settingsMenu');
+        const openButton = document.getElementById('openSettings');
+        const closeButton = document.getElementById('closeSettings');
+        const paletteSelect = document.getElementById('settingPalette');
+        const checkboxes = {
+            markers: document.getElementById('settingMarkers'),
+            highContrast: document.getElementById('settingHighContrast'),
+            reducedMotion: document.getElementById('settingReducedMotion'),
+            screenReader: document.getElementById('settingScreenReader'),
+            muted: document.getElementById('settingMuted')
+        };
+        const sliders = {
+            masterVolume: document.getElementById('settingMasterVolume'),
+            sfxVolume: document.getElementById('settingSfxVolume'),
+            musicVolume: document.getElementById('settingMusicVolume')
+        };
+        const controls = [paletteSelect, ...Object.values(checkboxes), ...Object.values(sliders), closeButton];
+        
+        for (const [key, palette] of Object.entries(PALETTES)) paletteSelect.add(new Option(palette.label, key));
+        paletteSelect.value = this.displaySettings.palette;
+        for (const [key, checkbox] of Object.entries(checkboxes)) checkbox.checked = this.displaySettings[key];
+        for (const [key, slider] of Object.entries(sliders)) slider.value = Math.round(this.displaySettings[key] * 100);
+        
+        const change = () => {
+            this.displaySettings = { palette: paletteSelect.value };
+            for (const [key, checkbox] of Object.entries(checkboxes)) this.displaySettings[key] = checkbox.checked;
+            for (const [key, slider] of Object.entries(sliders)) this.displaySettings[key] = Number(slider.value) / 100;
+            saveSettings(this.displaySettings);
+            this.applySettings();
+        };
+        paletteSelect.addEventListener('change', change);
+        for (const checkbox of Object.values(checkboxes)) checkbox.addEventListener('change', change);
+        // Heard while dragging
+        for (const slider of Object.values(sliders)) slider.addEventListener('input', change);
+        
+        const close = () => {
+            menu.style.display = 'none';
+            openButton.focus();
+        };
+        openButton.addEventListener('click', () => {
+            menu.style.display = 'block';
+            paletteSelect.focus();
+        });
+        closeButton.addEventListener('click', close);
+        menu.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape') {
+                close();
+                e.preventDefault();
+                return;
             }
-            
-            // Check if AI needs to avoid danger
-            if (this.isAIInDanger(player)) {
-                this.updateAIDirection(player);
-                player.lastDirectionChange = currentTime;
+            // Tab stays within the dialog
+            if (e.code !== 'Tab') return;
+            const first = controls[0];
+            const last = controls[controls.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                last.focus();
+                e.preventDefault();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                first.focus();
+                e.preventDefault();
             }
-        }
+        });
     }
 
-    updateAIDirection(player) {
-        const directions = [
-            { x: 0, y: -1 }, // up
-            { x: 0, y: 1 },  // down
-            { x: -1, y: 0 }, // left
-            { x: 1, y: 0 }   // right
-        ];
+    // Only changes how the match is shown, heard and told, never the match itself
+    applySettings() {
+        const { palette, markers, highContrast, reducedMotion, screenReader } = this.displaySettings;
+        const { masterVolume, sfxVolume, musicVolume, muted } = this.displaySettings;
+        this.renderer.configure({ markers, highContrast, reducedMotion });
+        this.audio.setVolumes({ master: masterVolume, sfx: sfxVolume, music: musicVolume, muted });
+        document.body.classList.toggle('high-contrast', highContrast);
+        document.body.classList.toggle('reduced-motion', reducedMotion);
+        this.announcer.enabled = screenReader;
+        if (!screenReader) this.announcer.clear();
+        if (!this.sim) return;
+        
+        applyPalette(this.sim.state.players, palette);
+        this.updateScores();
+        this.lastMinimapTime = 0;
+    }
 
-        // Filter safe directions
-        const safeDirections = directions.filter(dir => {
-            // Don't reverse direction
-            if (dir.x === -player.direction.x && dir.y === -player.direction.y) return false;
-            
-            // Check if this direction leads to safety
-            const testX = player.x + dir.x * 50;
-            const testY = player.y + dir.y * 50;
-            
-            return this.isPositionSafe(player, testX, testY);
-        });
+    toggleMute() {
+        this.displaySettings.muted = !this.displaySettings.muted;
+        document.getElementById('settingMuted').checked = this.displaySettings.muted;
+        saveSettings(this.displaySettings);
+        this.applySettings();
+        this.announcer.say(this.displaySettings.muted ? 'Sound off' : 'Sound on');
+    }
 
-        if (safeDirections.length > 0) {
-            // Prefer directions that lead toward unclaimed territory
-            const bestDirection = this.findBestAIDirection(player, safeDirections);
-            player.direction = bestDirection || safeDirections[Math.floor(Math.random() * safeDirections.length)];
-        } else if (player.trail.length === 0) {
-            // If no safe direction and no trail, pick any direction
-            player.direction = directions[Math.floor(Math.random() * directions.length)];
-        }
+    // Fits the canvas to the space the panel leaves, at the screen's pixel density
+    resize() {
+        const viewport = this.canvas.parentElement;
+        this.renderer.resize(viewport.clientWidth, viewport.clientHeight, window.devicePixelRatio || 1);
+        this.minimap.resize(this.minimap.canvas.parentElement.clientWidth, window.devicePixelRatio || 1);
+        this.lastMinimapTime = 0;
     }
 
-    findBestAIDirection(player, directions) {
-        let bestDirection = null;
-        let bestScore = -1;
-        
-        for (const dir of directions) {
-            const testX = player.x + dir.x * 100;
-            const testY = player.y + dir.y * 100;
-            
-            // Score based on distance from other players and potential territory gain
-            let score = 0;
-            
-            // Prefer directions away from other players
-            for (const otherPlayer of this.players) {
-                if (otherPlayer.id === player.id) continue;
-                const distance = Math.sqrt((testX - otherPlayer.x) ** 2 + (testY - otherPlayer.y) ** 2);
-                score += Math.min(distance / 100, 1);
-            }
-            
-            // Prefer directions toward center if near edges
-            const centerX = this.canvas.width / 2;
-            const centerY = this.canvas.height / 2;
-            const distanceToCenter = Math.sqrt((testX - centerX) ** 2 + (testY - centerY) ** 2);
-            if (testX < 50 || testX > this.canvas.width - 50 || testY < 50 || testY > this.canvas.height - 50) {
-                score += (1 - distanceToCenter / 400);
-            }
-            
-            if (score > bestScore) {
-                bestScore = score;
-                bestDirection = dir;
-            }
-        }
-        
-        return bestDirection;
+    // devicePixelRatio changes without a resize when the window moves to
+    // another screen or the page is zoomed
+    watchPixelRatio() {
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            this.resize();
+            this.watchPixelRatio();
+        }, { once: true });
     }
 
-    isAIInDanger(player) {
-        const lookAhead = 30;
-        const testX = player.x + player.direction.x * lookAhead;
-        const testY = player.y + player.direction.y * lookAhead;
-        
-        return !this.isPositionSafe(player, testX, testY);
+    centerCamera() {
+        const player = this.getLocalPlayer();
+        if (!player) return;
+        this.camera.x = player.x;
+        this.camera.y = player.y;
     }
 
-    isPositionSafe(player, x, y) {
-        // Check boundaries
-        if (x < 10 || x > this.canvas.width - 10 || y < 10 || y > this.canvas.height - 10) {
-            return false;
-        }
+    // Follows the local player, or whoever we watch once they're out
+    updateCamera(elapsed) {
+        const player = this.isSpectating() ? this.sim.getPlayer(this.spectateId) : this.getLocalPlayer();
+        if (!player || !player.alive) return;
         
-        // Check collision with other players' trails
-        for (const otherPlayer of this.players) {
-            if (otherPlayer.id === player.id || !otherPlayer.alive) continue;
-            
-            if (this.isPointNearTrail(x, y, otherPlayer.trail, 15)) {
-                return false;
-            }
-        }
-        
-        // Check collision with own trail
-        if (this.isPointNearTrail(x, y, player.trail, 10)) {
-            return false;
-        }
-        
-        return true;
+        const t = 1 - Math.exp(-this.cameraSpeed * elapsed / 1000);
+        this.camera.x += (player.x - this.camera.x) * t;
+        this.camera.y += (player.y - this.camera.y) * t;
     }
 
-    checkCollisions() {
-        for (const player of this.players) {
-            if (!player.alive) continue;
-            
-            // Check boundary collision
-            if (player.x < 0 || player.x > this.canvas.width || 
-                player.y < 0 || player.y > this.canvas.height) {
-                this.eliminatePlayer(player);
-                continue;
-            }
-            
-            // Check collision with other players' trails
-            for (const otherPlayer of this.players) {
-                if (otherPlayer.id === player.id || !otherPlayer.alive) continue;
+    // One button per key slot in the controls panel; clicking one waits for
+    // the key to bind there
+    setupKeyBindings() {
+        const container = document.getElementById('keyBindings');
+        const labels = { up: 'Up', down: 'Down', left: 'Left', right: 'Right' };
+        
+        const build = () => {
+            container.innerHTML = '';
+            for (const direction of Object.keys(labels)) {
+                const row = document.createElement('div');
+                row.className = 'key-binding';
+                const name = document.createElement('span');
+                name.textContent = labels[direction];
+                row.appendChild(name);
                 
-                if (this.isPointNearTrail(player.x, player.y, otherPlayer.trail, this.playerSize)) {
-                    this.eliminatePlayer(player);
-                    break;
-                }
+                this.input.bindings[direction].forEach((code, slot) => {
+                    const button = document.createElement('button');
+                    button.textContent = keyLabel(code);
+                    button.addEventListener('click', () => {
+                        button.textContent = '…';
+                        button.blur();
+                        this.input.captureKey(direction, slot, build);
+                    });
+                    row.appendChild(button);
+                });
+                container.appendChild(row);
             }
-            
-            // Check collision with own trail (but not the most recent part)
-            if (player.trail.length > 10) {
-                const checkTrail = player.trail.slice(0, -5);
-                if (this.isPointNearTrail(player.x, player.y, checkTrail, this.playerSize)) {
-                    this.eliminatePlayer(player);
-                }
-            }
-        }
+        };
+        
+        document.getElementById('resetKeys').addEventListener('click', () => {
+            this.input.resetBindings();
+            build();
+        });
+        build();
     }
 
-    isPointNearTrail(x, y, trail, threshold) {
-        for (let i = 0; i < trail.length - 1; i++) {
-            const distance = this.distanceToLineSegment(x, y, trail[i], trail[i + 1]);
-            if (distance < threshold) {
-                return true;
-            }
+    // The local player's turn for this tick, if one is queued
+    takeTurn() {
+        const player = this.getLocalPlayer();
+        if (!this.gameRunning) {
+            this.input.clear();
+            return null;
+        }
+        if (!player || !player.alive) {
+            this.takeSpectateInput();
+            return null;
         }
-        return false;
+        return this.input.nextTurn(player.direction);
     }
 
-    distanceToLineSegment(px, py, p1, p2) {
-        const dx = p2.x - p1.x;
-        const dy = p2.y - p1.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        
-        if (length === 0) return Math.sqrt((px - p1.x) ** 2 + (py - p1.y) ** 2);
-        
-        const t = Math.max(0, Math.min(1, ((px - p1.x) * dx + (py - p1.y) * dy) / (length * length)));
-        const projection = { x: p1.x + t * dx, y: p1.y + t * dy };
-        
-        return Math.sqrt((px - projection.x) ** 2 + (py - projection.y) ** 2);
+    // While spectating, left and right step through the players and up or
+    // down switches between them and the whole arena
+    takeSpectateInput() {
+        const direction = this.input.nextDirection();
+        if (direction === 'left') this.cycleSpectate(-1);
+        else if (direction === 'right') this.cycleSpectate(1);
+        else if (direction) this.toggleOverview();
     }
 
-    isInTerritory(player, x, y) {
-        for (const territory of player.territory) {
-            if (this.isPointInPolygon(x, y, territory)) {
-                return true;
-            }
-        }
-        return false;
-    }
-
-    isPointInPolygon(x, y, polygon) {
-        let inside = false;
-        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-            if (((polygon[i].y > y) !== (polygon[j].y > y)) &&
-                (x < (polygon[j].x - polygon[i].x) * (y - polygon[i].y) / (polygon[j].y - polygon[i].y) + polygon[i].x)) {
-                inside = !inside;
-            }
+    gameLoop() {
+        const currentTime = Date.now();
+        const tickLength = 1000 / this.tickRate;
+        
+        // Step the simulation on a fixed timestep, catching up at most a quarter second
+        const elapsed = Math.min(currentTime - this.lastFrameTime, 250);
+        this.accumulator += elapsed;
+        this.lastFrameTime = currentTime;
+        
+        this.input.pollGamepads();
+        while (this.gameRunning && this.accumulator >= tickLength) {
+            this.tick();
+            this.accumulator -= tickLength;
         }
-        return inside;
+        
+        if (this.network) this.network.interpolate();
+        this.updateCamera(elapsed);
+        this.render();
+        this.updateAudio();
+        requestAnimationFrame(() => this.gameLoop());
     }
 
-    closeTrail(player) {
-        if (player.trail.length < 3) {
-            player.trail = [];
+    tick() {
+        if (this.network) {
+            // The server runs the match; we only predict our own movement
+            this.network.predict(this.takeTurn());
+            this.updateTimer();
             return;
         }
         
-        // Add current position to complete the trail
-        player.trail.push({ x: player.x, y: player.y });
+        const inputs = {};
+        
+        const turn = this.takeTurn();
+        if (turn) inputs[this.localPlayerId] = turn;
         
-        // Find the connection point in existing territory
-        const connectionPoint = this.findTerritoryConnection(player);
-        if (connectionPoint) {
-            // Create new territory from the trail
-            const newTerritory = [...player.trail];
-            player.territory.push(newTerritory);
+        const botsActive = !this.lesson || this.lesson.botsActive;
+        for (const controller of botsActive ? this.aiControllers : []) {
+            const direction = controller.decide();
+            if (direction) inputs[controller.playerId] = direction;
         }
         
-        player.trail = [];
-        this.updateScores();
+        this.recorder.record(this.sim, inputs);
+        const { events } = this.sim.step(inputs);
+        this.handleEvents(events);
+        this.updateTimer();
     }
 
-    findTerritoryConnection(player) {
-        // Simplified: just return the current position as connection point
-        return { x: player.x, y: player.y };
+    handleEvents(events) {
+        let scoresChanged = false;
+        this.telemetry.record(this.sim, events);
+        
+        for (const event of events) {
+            if (event.type === 'capture') {
+                scoresChanged = true;
+                this.announceCapture(event);
+                if (event.playerId === this.localPlayerId) this.audio.play('capture', event.area / this.sim.arena.claimableArea);
+            } else if (event.type === 'pickup') {
+                if (event.playerId === this.localPlayerId) this.audio.play('pickup');
+            } else if (event.type === 'shield') {
+                this.addToKillFeed(event);
+            } else if (event.type === 'elimination') {
+                scoresChanged = true;
+                const parts = this.addToKillFeed(event);
+                if (parts) this.announcer.say(parts.map(part => part.text).join(''), event.playerId === this.localPlayerId);
+                if (event.playerId === this.localPlayerId) this.audio.play('eliminated');
+                else this.audio.play(event.killerId === this.localPlayerId ? 'kill' : 'elimination');
+                // Out ourselves, or the one we watched is: watch their killer
+                const watched = event.playerId === this.spectateId && this.isSpectating() && !this.overview;
+                if (event.playerId === this.localPlayerId || watched) {
+                    this.startSpectating(event.killerId);
+                }
+            } else if (event.type === 'end') {
+                this.gameRunning = false;
+                this.showGameOver();
+            }
+        }
+        
+        if (scoresChanged) this.updateScores();
+        if (this.lesson) this.updateLesson(events);
     }
 
-    eliminatePlayer(player) {
-        player.alive = false;
-        player.trail = [];
-        player.direction = { x: 0, y: 0 };
-        this.updateScores();
+    // Moves the lesson on; a lost tutorial step starts again straight away
+    updateLesson(events) {
+        const status = this.lesson.update(events);
+        if (status === 'retry') {
+            this.initializeGame();
+        } else if (status === 'over') {
+            this.gameRunning = false;
+            this.audio.play(this.lesson.result.passed ? 'win' : 'lose');
+            this.announcer.say(this.lesson.result.message, true);
+        }
+        this.lessonPanel.update(this.lesson);
     }
 
-    calculateTerritoryArea(territories) {
-        let totalArea = 0;
-        for (const territory of territories) {
-            totalArea += this.polygonArea(territory);
+    // Our own captures, and land taken from us
+    announceCapture(event) {
+        const local = this.getLocalPlayer();
+        if (!local) return;
+        const percent = (area) => `${(area / this.sim.arena.claimableArea * 100).toFixed(1)}%`;
+        const share = `${(this.sim.getTerritoryShare(local) * 100).toFixed(1)}%`;
+        
+        if (event.playerId === local.id) {
+            this.announcer.say(`You captured ${percent(event.area)}, you now hold ${share}`);
+            return;
         }
-        return totalArea;
+        const taken = event.stolen.find(entry => entry.ownerId === local.owner);
+        const by = this.sim.getPlayer(event.playerId);
+        if (taken && by) this.announcer.say(`${by.name} took ${percent(taken.area)} of your land, you now hold ${share}`);
     }
 
-    polygonArea(polygon) {
-        let area = 0;
-        for (let i = 0; i < polygon.length; i++) {
-            const j = (i + 1) % polygon.length;
-            area += polygon[i].x * polygon[j].y;
-            area -= polygon[j].x * polygon[i].y;
+    // Reads out every whole minute left, then 30 and 10 seconds
+    announceTimeLeft(seconds) {
+        if (seconds === 30 || seconds === 10) {
+            this.announcer.say(`${seconds} seconds left`);
+        } else if (seconds > 0 && seconds % 60 === 0) {
+            this.announcer.say(seconds === 60 ? '1 minute left' : `${seconds / 60} minutes left`);
         }
-        return Math.abs(area) / 2;
     }
 
+    // One line per elimination or shield that saved someone, as coloured
+    // pieces of text; returns the pieces
+    addToKillFeed(event) {
+        const victim = this.sim.getPlayer(event.playerId);
+        const killer = event.killerId ? this.sim.getPlayer(event.killerId) : null;
+        if (!victim) return null;
+        
+        const name = (player) => ({ text: player.name, color: player.color });
+        const text = (value) => ({ text: value, color: '#ddd' });
+        let parts;
+        if (event.type === 'shield') {
+            const by = event.byId ? this.sim.getPlayer(event.byId) : null;
+            parts = by
+                ? [name(victim), text('\'s shield stopped '), name(by)]
+                : [name(victim), text('\'s shield saved them from their own trail')];
+        } else if (event.cause === 'cut') {
+            // The killer may have left the match since
+            parts = killer ? [name(killer), text(' cut '), name(victim)] : [name(victim), text('\'s trail was cut')];
+        } else if (event.cause === 'territory') {
+            parts = killer
+                ? [name(killer), text(' took all of '), name(victim), text('\'s land')]
+                : [name(victim), text(' lost all their land')];
+        } else if (event.cause === 'self') {
+            parts = [name(victim), text(' crossed their own trail')];
+        } else if (event.cause === 'wall') {
+            parts = [name(victim), text(' hit the wall')];
+        } else {
+            parts = [name(victim), text(' is out')];
+        }
+        
+        this.killFeed.push({ parts, addedAt: Date.now() });
+        if (this.killFeed.length > 5) this.killFeed.shift();
+        return parts;
+    }
+
+    // The rows are built once per match and then only have their text and
+    // colours updated, so a screen reader doesn't lose its place in the list
     updateScores() {
         const scoresDiv = document.getElementById('scores');
-        const totalArea = this.canvas.width * this.canvas.height;
+        if (this.scoreRowsSim !== this.sim) {
+            scoresDiv.textContent = '';
+            this.scoreRows.clear();
+            for (const player of this.players) {
+                const row = this.createScoreRow();
+                this.scoreRows.set(player.id, row);
+                scoresDiv.appendChild(row.row);
+            }
+            this.scoreRowsSim = this.sim;
+        }
         
-        let html = '';
         for (const player of this.players) {
-            const area = this.calculateTerritoryArea(player.territory);
-            const percentage = ((area / totalArea) * 100).toFixed(1);
-            const status = player.alive ? 'alive' : 'eliminated';
-            const statusText = player.alive ? 'Alive' : 'Eliminated';
-            
-            html += `
-                <div class="player-score" style="background-color: ${player.color}15; border-left: 4px solid ${player.color}">
-                    <div class="player-info">
-                        <div class="player-color" style="background-color: ${player.color}"></div>
-                        <div>
-                            <div>Player ${player.id} ${player.isHuman ? '(You)' : ''}</div>
-                        </div>
-                    </div>
-                    <div class="player-stats">
-                        <div class="percentage">${percentage}%</div>
-                        <div class="status ${status}">${statusText}</div>
-                    </div>
-                </div>
-            `;
+            const row = this.scoreRows.get(player.id);
+            const percentage = (this.sim.getTerritoryShare(player) * 100).toFixed(1);
+            row.row.style.backgroundColor = `${player.color}15`;
+            row.row.style.borderLeft = `4px solid ${player.color}`;
+            row.swatch.style.backgroundColor = player.color;
+            row.swatch.textContent = this.displaySettings.markers ? playerMarker(player).symbol : '';
+            row.name.textContent = `${player.name}${player.id === this.localPlayerId ? ' (You)' : ''}`;
+            row.team.textContent = player.team !== null ? `${TEAMS[player.team].name} team` : '';
+            row.percentage.textContent = `${percentage}%`;
+            row.kills.textContent = `${player.kills} ${player.kills === 1 ? 'kill' : 'kills'}`;
+            row.status.className = `status ${player.alive ? 'alive' : 'eliminated'}`;
+            row.status.textContent = player.alive ? 'Alive' : 'Eliminated';
         }
-        
-        scoresDiv.innerHTML = html;
+    }
+
+    createScoreRow() {
+        const add = (parent, className) => {
+            const element = document.createElement('div');
+            element.className = className;
+            parent.appendChild(element);
+            return element;
+        };
+        const row = document.createElement('div');
+        row.className = 'player-score';
+        row.setAttribute('role', 'listitem');
+        const info = add(row, 'player-info');
+        const swatch = add(info, 'player-color');
+        swatch.setAttribute('aria-hidden', 'true');
+        const names = add(info, '');
+        const stats = add(row, 'player-stats');
+        return {
+            row,
+            swatch,
+            name: add(names, ''),
+            team: add(names, 'status'),
+            percentage: add(stats, 'percentage'),
+            kills: add(stats, 'kills'),
+            status: add(stats, 'status')
+        };
     }
 
     updateTimer() {
-        const timeElapsed = Date.now() - this.gameStartTime;
-        const timeRemaining = Math.max(0, this.gameTimeLimit - timeElapsed);
+        const timeRemaining = this.sim.getTimeRemaining();
+        if (timeRemaining === Infinity) {
+            document.getElementById('timer').textContent = '∞';
+            return;
+        }
         const minutes = Math.floor(timeRemaining / 60000);
         const seconds = Math.floor((timeRemaining % 60000) / 1000);
         
         document.getElementById('timer').textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+        
+        const left = Math.floor(timeRemaining / 1000);
+        if (left === this.timerSecond) return;
+        this.timerSecond = left;
+        this.announceTimeLeft(left);
+        if (left > 0 && left <= 10) this.audio.play('countdown', left);
     }
 
-    checkGameEnd() {
-        const alivePlayers = this.players.filter(p => p.alive);
-        const timeElapsed = Date.now() - this.gameStartTime;
+    // Sounds that follow the state rather than events: stepping out of our
+    // land, the danger pulse and the music
+    updateAudio() {
+        const player = this.getLocalPlayer();
+        const outside = Boolean(player && player.alive && player.trail.length > 0);
+        if (outside && !this.wasOutside) this.audio.play('leave');
+        this.wasOutside = outside;
+        this.audio.update(this.getTrailDanger(), this.gameRunning ? this.getMusicSpeed() : 0);
+    }
 
-        if (alivePlayers.length <= 1 || timeElapsed >= this.gameTimeLimit) {
-            this.gameRunning = false;
-            this.showGameOver();
+    // 0 to 1: how close the nearest opponent is to our open trail, counting
+    // from the audio's dangerRange
+    getTrailDanger() {
+        const player = this.getLocalPlayer();
+        if (!player || !player.alive || player.trail.length === 0) return 0;
+        
+        // The index has the trail up to its last point; the stretch from there
+        // to the head is measured on its own
+        const range = this.audio.dangerRange;
+        const last = player.trail[player.trail.length - 1];
+        this.sim.trailIndex.sync(player.id, player.trail);
+        let nearest = Infinity;
+        for (const other of this.players) {
+            if (other === player || !other.alive || this.sim.areAllies(player, other)) continue;
+            nearest = Math.min(nearest, this.sim.distanceToLineSegment(other.x, other.y, last, player));
+            this.sim.trailIndex.someNear(other.x, other.y, range, (segment) => {
+                if (segment.owner === player.id) {
+                    nearest = Math.min(nearest, this.sim.distanceToLineSegment(other.x, other.y, segment.a, segment.b));
+                }
+                return false;
+            });
         }
+        return Math.max(0, 1 - nearest / this.audio.dangerRange);
+    }
+
+    // Up to half as fast again over the last 30 seconds
+    getMusicSpeed() {
+        return 1 + 0.5 * Math.max(0, 1 - this.sim.getTimeRemaining() / 30000);
     }
 
     showGameOver() {
@@ -457,113 +766,195 @@ class SmoothPaperIOGame {
         const gameOverTitle = document.getElementById('gameOverTitle');
         const finalScores = document.getElementById('finalScores');
         
-        const totalArea = this.canvas.width * this.canvas.height;
-        const sortedPlayers = [...this.players].sort((a, b) => {
-            const areaA = this.calculateTerritoryArea(a.territory);
-            const areaB = this.calculateTerritoryArea(b.territory);
-            return areaB - areaA;
-        });
+        const sortedPlayers = this.sim.getRankings();
+        const isHumanWinner = this.sim.getWinners().some(player => player.id === this.localPlayerId);
+        const teamMatch = sortedPlayers.some(player => player.team !== null);
         
-        const winner = sortedPlayers[0];
-        const isHumanWinner = winner.isHuman;
-        
-        gameOverTitle.textContent = isHumanWinner ? '🎉 You Won!' : '💀 Game Over!';
+        if (!this.getLocalPlayer()) {
+            gameOverTitle.textContent = '🏁 Match Over';
+        } else {
+            gameOverTitle.textContent = isHumanWinner ? (teamMatch ? '🎉 Your Team Won!' : '🎉 You Won!') : '💀 Game Over!';
+        }
         
-        let scoresHtml = '<h3>Final Rankings:</h3>';
+        // Teammates share their team's place
+        const teamOrder = [...new Set(sortedPlayers.map(player => player.team))];
+        let scoresHtml = '<h3>Final Rankings:</h3><div class="final-header"><span>Player</span><span>Share · Kills</span></div>';
+        const spoken = [];
         sortedPlayers.forEach((player, index) => {
-            const area = this.calculateTerritoryArea(player.territory);
-            const percentage = ((area / totalArea) * 100).toFixed(1);
-            const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '  ';
+            const place = teamMatch ? teamOrder.indexOf(player.team) : index;
+            const percentage = (this.sim.getTerritoryShare(player) * 100).toFixed(1);
+            const medal = place === 0 ? '🥇' : place === 1 ? '🥈' : place === 2 ? '🥉' : '  ';
+            const team = teamMatch ? ` (${TEAMS[player.team].name})` : '';
             
             scoresHtml += `
-                <div style="margin: 8px 0; color: ${player.color};">
-                    ${medal} ${index + 1}. Player ${player.id} ${player.isHuman ? '(You)' : ''}: ${percentage}%
+                <div class="final-row" style="color: ${player.color};">
+                    <span>${medal} ${place + 1}. ${escapeHtml(player.name)}${team} ${player.id === this.localPlayerId ? '(You)' : ''}</span>
+                    <span>${percentage}% · ${player.kills}</span>
                 </div>
             `;
+            spoken.push(`${place + 1}. ${player.name}${team}${player.id === this.localPlayerId ? ' (You)' : ''}, ` +
+                `${percentage}%, ${player.kills} ${player.kills === 1 ? 'kill' : 'kills'}`);
         });
 
         finalScores.innerHTML = scoresHtml;
+        const result = !this.getLocalPlayer() ? 'Match over' : isHumanWinner ? (teamMatch ? 'Your team won' : 'You won') : 'Game over';
+        this.announcer.say(`${result}. Final rankings: ${spoken.join('; ')}`);
+        if (this.getLocalPlayer()) this.audio.play(isHumanWinner ? 'win' : 'lose');
+        this.analytics.show(this.telemetry.toJSON(this.sim), this.sim.config.arena, this.localPlayerId);
+        document.getElementById('replayButtons').style.display = this.getReplay() ? 'flex' : 'none';
         gameOverDiv.style.display = 'block';
+        this.showProfileStats();
     }
 
-    render() {
-        // Clear canvas
-        this.ctx.fillStyle = '#000';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Draw territories
-        for (const player of this.players) {
-            this.ctx.fillStyle = player.color + '40'; // Semi-transparent
-            this.ctx.strokeStyle = player.color;
-            this.ctx.lineWidth = 2;
-            
-            for (const territory of player.territory) {
-                if (territory.length > 2) {
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(territory[0].x, territory[0].y);
-                    for (let i = 1; i < territory.length; i++) {
-                        this.ctx.lineTo(territory[i].x, territory[i].y);
-                    }
-                    this.ctx.closePath();
-                    this.ctx.fill();
-                    this.ctx.stroke();
-                }
+    // Only lobby matches count towards profiles, and the server records
+    // them itself; this just fetches the updated stats
+    async showProfileStats() {
+        const stats = document.getElementById('profileStats');
+        stats.textContent = '';
+        if (!this.getLocalPlayer() || !this.network || !this.singleMatch) return;
+
+        try {
+            const profile = await this.profile.refresh();
+            if (profile) {
+                stats.textContent = `${profile.name}: ${profile.wins} wins in ${profile.matches} matches, ` +
+                    `best ${(profile.bestShare * 100).toFixed(1)}%`;
             }
+        } catch (error) {
+            stats.textContent = `Stats unavailable: ${error.message}`;
         }
+    }
+
+    getReplay() {
+        if (this.recorder) return this.recorder.toJSON(this.sim);
+        return this.replay;
+    }
+
+    // The server sends the replay of an online match once it has ended
+    setReplay(replay) {
+        this.replay = replay;
+        document.getElementById('replayButtons').style.display = 'flex';
+    }
+
+    downloadReplay() {
+        const replay = this.getReplay();
+        if (!replay) return;
         
-        // Draw trails
-        for (const player of this.players) {
-            if (!player.alive || player.trail.length < 2) continue;
-            
-            this.ctx.strokeStyle = player.color;
-            this.ctx.lineWidth = this.trailWidth;
-            this.ctx.lineCap = 'round';
-            this.ctx.lineJoin = 'round';
-            
-            this.ctx.beginPath();
-            this.ctx.moveTo(player.trail[0].x, player.trail[0].y);
-            for (let i = 1; i < player.trail.length; i++) {
-                this.ctx.lineTo(player.trail[i].x, player.trail[i].y);
-            }
-            // Connect to current position
-            if (player.trail.length > 0) {
-                this.ctx.lineTo(player.x, player.y);
-            }
-            this.ctx.stroke();
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `paperio-replay-${replay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Everything the analytics are drawn from, as JSON
+    downloadStats() {
+        if (!this.telemetry) return;
+        
+        const stats = this.telemetry.toJSON(this.sim);
+        const blob = new Blob([JSON.stringify(stats)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `paperio-stats-${stats.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    watchReplay() {
+        const replay = this.getReplay();
+        if (!replay) return;
+        
+        sessionStorage.setItem('paperio:replay', JSON.stringify(replay));
+        window.location.href = 'replay.html';
+    }
+
+    render() {
+        const now = Date.now();
+        const started = performance.now();
+        this.killFeed = this.killFeed.filter(entry => now - entry.addedAt < this.killFeedDuration);
+        const spectating = this.isSpectating();
+        const step = this.lesson && !this.lesson.result ? this.lesson.step : null;
+        const view = this.renderer.render(this.sim, {
+            camera: spectating && this.overview ? null : this.camera,
+            highlightId: spectating && !this.overview ? this.spectateId : step && step.watch,
+            goals: step && step.goal ? [step.goal] : []
+        });
+        this.renderer.drawFeed(this.killFeed.map(entry => ({
+            parts: entry.parts,
+            // Fades over the last second, unless motion is reduced
+            alpha: this.displaySettings.reducedMotion ? 1 : Math.min(1, (this.killFeedDuration - (now - entry.addedAt)) / 1000)
+        })));
+        
+        if (now - this.lastMinimapTime >= this.minimapInterval) {
+            this.minimap.render(this.sim, spectating ? this.spectateId : this.localPlayerId, view);
+            this.updateSpectatorBanner();
+            this.updateEffectTimers();
+            this.lastMinimapTime = now;
         }
         
-        // Draw players
-        for (const player of this.players) {
-            if (!player.alive) continue;
-            
-            // Player body
-            this.ctx.fillStyle = player.color;
-            this.ctx.beginPath();
-            this.ctx.arc(player.x, player.y, this.playerSize, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            // Player border
-            this.ctx.strokeStyle = '#fff';
-            this.ctx.lineWidth = 2;
-            this.ctx.stroke();
-            
-            // Direction indicator
-            if (player.direction.x !== 0 || player.direction.y !== 0) {
-                this.ctx.fillStyle = '#fff';
-                this.ctx.beginPath();
-                this.ctx.arc(
-                    player.x + player.direction.x * (this.playerSize - 2),
-                    player.y + player.direction.y * (this.playerSize - 2),
-                    2, 0, Math.PI * 2
-                );
-                this.ctx.fill();
-            }
+        this.frameStats.record(now, performance.now() - started, this.renderer.frameRedraws);
+        if (this.showStats) this.renderer.drawStats(this.frameStats);
+    }
+
+    // Pickups on the player we follow, with the seconds they have left
+    updateEffectTimers() {
+        const container = document.getElementById('effectTimers');
+        if (!this.sim) return;
+        const watched = this.overview ? null : this.sim.getPlayer(this.spectateId);
+        const player = this.isSpectating() ? watched : this.getLocalPlayer();
+        if (!player || !player.alive) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        let html = '';
+        for (const type of TIMED_PICKUPS) {
+            if (!this.sim.hasEffect(player, type)) continue;
+            const { label, icon, color } = PICKUP_TYPES[type];
+            const seconds = (this.sim.getEffectTimeLeft(player, type) / 1000).toFixed(1);
+            html += `
+                <div class="effect-timer" style="border-color: ${color}">
+                    <span>${icon} ${label}</span>
+                    <span class="time" style="color: ${color}">${seconds}s</span>
+                </div>
+            `;
+        }
+        container.innerHTML = html;
+    }
+
+    // Who we're watching and how they're doing
+    updateSpectatorBanner() {
+        const banner = document.getElementById('spectatorBanner');
+        const spectating = this.gameRunning && this.isSpectating();
+        banner.style.display = spectating ? 'flex' : 'none';
+        if (!spectating) return;
+        
+        const target = this.overview ? null : this.sim.getPlayer(this.spectateId);
+        const targetName = document.getElementById('spectatorTarget');
+        const stats = document.getElementById('spectatorStats');
+        if (target && target.alive) {
+            const place = this.sim.getRankings().indexOf(target) + 1;
+            targetName.textContent = target.name;
+            targetName.style.color = target.color;
+            stats.textContent = `#${place} · ${(this.sim.getTerritoryShare(target) * 100).toFixed(1)}% · ` +
+                `${target.kills} ${target.kills === 1 ? 'kill' : 'kills'}`;
+        } else {
+            targetName.textContent = 'the whole arena';
+            targetName.style.color = '';
+            stats.textContent = `${this.players.filter(player => player.alive).length} still in`;
         }
     }
 
     restart() {
         document.getElementById('gameOver').style.display = 'none';
-        this.initializeGame();
+        
+        // Online, the server starts the next match by itself; lobby matches
+        // are one-offs, so go back to the lobby for another
+        if (this.network && this.singleMatch) {
+            window.location.href = 'index.html';
+        } else if (!this.network) {
+            this.initializeGame();
+        }
     }
 }
 
@@ -0,0 +1,204 @@
+// Turns keyboard, touch swipes and gamepads into turns for the local player.
+// Turns wait in a short queue and the game takes one per tick, so a quick
+// combo pressed within a single frame still plays out in order.
+const TURNS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+// Two keys per direction, by KeyboardEvent.code so WASD stays put on other layouts
+const DEFAULT_KEY_BINDINGS = {
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS'],
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD']
+};
+
+const KEY_BINDINGS_STORAGE = 'paperio:keys';
+
+// Readable name for a key code in the controls panel
+function keyLabel(code) {
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (!code) return '—';
+    if (arrows[code]) return arrows[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code;
+}
+
+class InputController {
+    constructor(target) {
+        this.target = target; // element swipes are read from
+        this.maxQueue = 3;
+        this.swipeDistance = 30; // px a finger travels before it counts as a turn
+        this.stickDeadzone = 0.5;
+
+        this.queue = [];
+        this.bindings = this.loadBindings();
+        this.keyMap = this.buildKeyMap();
+        this.rebinding = null; // { direction, slot, done } while waiting for a key
+        this.touch = null; // { id, x, y } where the current swipe started
+        this.gamepadTurns = new Map(); // pad index -> direction it is held in
+
+        this.setupKeyboard();
+        this.setupTouch();
+    }
+
+    loadBindings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE));
+            if (stored && Object.keys(TURNS).every(direction => Array.isArray(stored[direction]))) return stored;
+        } catch (error) {
+            // Fall back to the defaults
+        }
+        return JSON.parse(JSON.stringify(DEFAULT_KEY_BINDINGS));
+    }
+
+    buildKeyMap() {
+        const keyMap = new Map();
+        for (const direction of Object.keys(this.bindings)) {
+            for (const code of this.bindings[direction]) {
+                if (code) keyMap.set(code, direction);
+            }
+        }
+        return keyMap;
+    }
+
+    // Binds a key to one of a direction's two slots, taking it away from
+    // wherever it was bound before
+    bindKey(direction, slot, code) {
+        for (const keys of Object.values(this.bindings)) {
+            const at = keys.indexOf(code);
+            if (at !== -1) keys[at] = null;
+        }
+        this.bindings[direction][slot] = code;
+        this.keyMap = this.buildKeyMap();
+        localStorage.setItem(KEY_BINDINGS_STORAGE, JSON.stringify(this.bindings));
+    }
+
+    resetBindings() {
+        this.bindings = JSON.parse(JSON.stringify(DEFAULT_KEY_BINDINGS));
+        this.keyMap = this.buildKeyMap();
+        localStorage.removeItem(KEY_BINDINGS_STORAGE);
+    }
+
+    // The next key pressed goes to the slot; Escape cancels. done(code) is
+    // called either way, with null when cancelled.
+    captureKey(direction, slot, done) {
+        this.rebinding = { direction, slot, done };
+    }
+
+    setupKeyboard() {
+        document.addEventListener('keydown', (e) => {
+            if (this.rebinding) {
+                const { direction, slot, done } = this.rebinding;
+                this.rebinding = null;
+                if (e.code !== 'Escape') this.bindKey(direction, slot, e.code);
+                done(e.code === 'Escape' ? null : e.code);
+                e.preventDefault();
+                return;
+            }
+
+            // Leave form fields and browser shortcuts alone
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+            const direction = this.keyMap.get(e.code);
+            if (!direction) return;
+            e.preventDefault();
+            if (!e.repeat) this.push(direction);
+        });
+    }
+
+    setupTouch() {
+        if (!this.target) return;
+
+        this.target.addEventListener('touchstart', (e) => {
+            const touch = e.changedTouches[0];
+            this.touch = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+        }, { passive: true });
+
+        // Every swipeDistance of travel is a turn, so one stroke can bend
+        // into an L and turn twice
+        this.target.addEventListener('touchmove', (e) => {
+            const touch = [...e.changedTouches].find(t => this.touch && t.identifier === this.touch.id);
+            if (!touch) return;
+            e.preventDefault(); // no scrolling or zooming under a swipe
+
+            const dx = touch.clientX - this.touch.x;
+            const dy = touch.clientY - this.touch.y;
+            if (Math.max(Math.abs(dx), Math.abs(dy)) < this.swipeDistance) return;
+
+            if (Math.abs(dx) > Math.abs(dy)) {
+                this.push(dx > 0 ? 'right' : 'left');
+            } else {
+                this.push(dy > 0 ? 'down' : 'up');
+            }
+            this.touch.x = touch.clientX;
+            this.touch.y = touch.clientY;
+        }, { passive: false });
+
+        const end = (e) => {
+            if (this.touch && [...e.changedTouches].some(t => t.identifier === this.touch.id)) this.touch = null;
+        };
+        this.target.addEventListener('touchend', end);
+        this.target.addEventListener('touchcancel', end);
+    }
+
+    // Gamepads have no events for buttons, so the game loop polls them.
+    // A turn is queued when the d-pad or left stick moves to a new direction.
+    pollGamepads() {
+        if (!navigator.getGamepads) return;
+
+        for (const pad of navigator.getGamepads()) {
+            if (!pad) continue;
+
+            const pressed = (index) => pad.buttons[index] && pad.buttons[index].pressed;
+            const [stickX = 0, stickY = 0] = pad.axes;
+            let direction = null;
+
+            // Standard mapping: buttons 12-15 are the d-pad
+            if (pressed(12)) direction = 'up';
+            else if (pressed(13)) direction = 'down';
+            else if (pressed(14)) direction = 'left';
+            else if (pressed(15)) direction = 'right';
+            else if (Math.max(Math.abs(stickX), Math.abs(stickY)) > this.stickDeadzone) {
+                if (Math.abs(stickX) > Math.abs(stickY)) direction = stickX > 0 ? 'right' : 'left';
+                else direction = stickY > 0 ? 'down' : 'up';
+            }
+
+            if (direction && direction !== this.gamepadTurns.get(pad.index)) this.push(direction);
+            this.gamepadTurns.set(pad.index, direction);
+        }
+    }
+
+    push(direction) {
+        // Pressing the same way twice is one turn; a full queue drops the newest
+        if (this.queue[this.queue.length - 1] === direction || this.queue.length >= this.maxQueue) return;
+        this.queue.push(direction);
+    }
+
+    // The next queued turn that changes the current direction, skipping ones
+    // that would go straight on or turn back
+    nextTurn(current) {
+        while (this.queue.length > 0) {
+            const turn = TURNS[this.queue.shift()];
+            const same = turn.x === current.x && turn.y === current.y;
+            const reverse = turn.x === -current.x && turn.y === -current.y;
+            if (!same && !reverse) return turn;
+        }
+        return null;
+    }
+
+    // The next queued direction as pressed, for when the keys pick a player
+    // to watch instead of steering
+    nextDirection() {
+        return this.queue.shift() || null;
+    }
+
+    clear() {
+        this.queue = [];
+    }
+}
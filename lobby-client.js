@@ -0,0 +1,123 @@
+// Lobby page connection to the matchmaking service at /lobby. Handlers are
+// called with the server's messages: onOpen, onRooms, onJoined, onQueued,
+// onLeft, onStart, onFriends, onParty, onPartyInvite, onError and onClose.
+class LobbyClient {
+    constructor(handlers = {}) {
+        this.handlers = handlers;
+        this.socket = null;
+        this.connected = false;
+    }
+
+    connect() {
+        // The lobby only exists when the page is served by the game server
+        if (!window.location.protocol.startsWith('http')) {
+            this.emit('onClose');
+            return;
+        }
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        this.socket = new WebSocket(`${protocol}//${window.location.host}/lobby`);
+        this.socket.onopen = () => {
+            this.connected = true;
+            this.emit('onOpen');
+        };
+        this.socket.onmessage = (e) => this.handleMessage(JSON.parse(e.data));
+        this.socket.onclose = () => {
+            this.connected = false;
+            this.emit('onClose');
+        };
+    }
+
+    emit(name, ...args) {
+        if (this.handlers[name]) this.handlers[name](...args);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'rooms':
+                this.emit('onRooms', message.rooms, message.status);
+                break;
+            case 'joined':
+                this.emit('onJoined', message.room);
+                break;
+            case 'queued':
+                this.emit('onQueued', message);
+                break;
+            case 'left':
+                this.emit('onLeft');
+                break;
+            case 'start':
+                this.emit('onStart', message.roomId, message.ticket);
+                break;
+            case 'friends':
+                this.emit('onFriends', message);
+                break;
+            case 'party':
+                this.emit('onParty', message.party);
+                break;
+            case 'partyInvite':
+                this.emit('onPartyInvite', message);
+                break;
+            case 'error':
+                this.emit('onError', message.message);
+                break;
+        }
+    }
+
+    send(message) {
+        if (this.connected) this.socket.send(JSON.stringify(message));
+    }
+
+    list() {
+        this.send({ type: 'list' });
+    }
+
+    create({ region, tier, maxPlayers, bots, mode, arena, name }) {
+        this.send({ type: 'create', region, tier, maxPlayers, bots, mode, arena, name });
+    }
+
+    join(roomId, name) {
+        this.send({ type: 'join', roomId, name });
+    }
+
+    leave() {
+        this.send({ type: 'leave' });
+    }
+
+    quickJoin({ region, tier, name }) {
+        this.send({ type: 'quickJoin', region, tier, name });
+    }
+
+    // Friends and parties need a profile, so the page says who it is first
+    hello(token) {
+        this.send({ type: 'hello', token });
+    }
+
+    refreshFriends() {
+        this.send({ type: 'friends' });
+    }
+
+    addFriend(name) {
+        this.send({ type: 'friendRequest', name });
+    }
+
+    acceptFriend(id) {
+        this.send({ type: 'friendAccept', id });
+    }
+
+    removeFriend(id) {
+        this.send({ type: 'friendRemove', id });
+    }
+
+    inviteToParty(id) {
+        this.send({ type: 'partyInvite', id });
+    }
+
+    acceptParty(partyId) {
+        this.send({ type: 'partyAccept', partyId });
+    }
+
+    leaveParty() {
+        this.send({ type: 'partyLeave' });
+    }
+}
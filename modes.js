@@ -0,0 +1,137 @@
+// Match modes. A mode decides where players spawn and on which team, whether
+// power-ups turn up, when a match is over and how players rank at the end.
+// The simulation looks its mode up by the name in config.mode, so a match
+// still replays from its config alone.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    // Team colors, in team order
+    const TEAMS = [
+        { name: 'Red', color: '#FF6B6B' },
+        { name: 'Blue', color: '#45B7D1' },
+        { name: 'Green', color: '#96CEB4' },
+        { name: 'Yellow', color: '#FFEAA7' }
+    ];
+
+    // Spreads spawn points over an even grid that follows the arena's aspect
+    // ratio; four players get the classic corner layout
+    function createSpawnPoints(count, width, height, margin = Math.min(width, height) / 6) {
+        const cols = Math.max(1, Math.round(Math.sqrt(count * width / height)));
+        const rows = Math.ceil(count / cols);
+        const points = [];
+
+        for (let i = 0; i < count; i++) {
+            const col = i % cols;
+            const row = Math.floor(i / cols);
+            points.push({
+                x: cols === 1 ? width / 2 : margin + col * (width - margin * 2) / (cols - 1),
+                y: rows === 1 ? height / 2 : margin + row * (height - margin * 2) / (rows - 1)
+            });
+        }
+        return points;
+    }
+
+    // The arena's spawn points when it has one for every seat, otherwise an
+    // even spread
+    function spreadSpawns(count, config) {
+        const spawns = config.arena ? config.arena.spawns : [];
+        if (spawns.length >= count) return spawns.slice(0, count).map(([x, y]) => ({ x, y }));
+        return createSpawnPoints(count, config.width, config.height);
+    }
+
+    // Seats are dealt out to teams in turn. Every team gets one of the spread
+    // out spawn points and its members line up next to each other there.
+    function createTeamSpawnPoints(count, teamCount, width, height, spacing,
+        centers = createSpawnPoints(teamCount, width, height)) {
+        const points = [];
+
+        for (let i = 0; i < count; i++) {
+            const team = i % teamCount;
+            const slot = Math.floor(i / teamCount);
+            const members = Math.ceil((count - team) / teamCount);
+            points.push({
+                x: centers[team].x,
+                y: centers[team].y + (slot - (members - 1) / 2) * spacing
+            });
+        }
+        return points;
+    }
+
+    const byArea = (sim) => (a, b) => sim.getTerritoryArea(b) - sim.getTerritoryArea(a);
+
+    const timeUp = (sim) => sim.state.time >= sim.config.timeLimit;
+
+    const MATCH_MODES = {
+        ffa: {
+            label: 'Classic',
+            description: 'Everyone for themselves until one is left or time runs out',
+            timed: true,
+            pickups: true,
+            spawns: spreadSpawns,
+            isOver: (sim, alive) => alive.length <= 1 || timeUp(sim),
+            rank: (sim) => [...sim.state.players].sort(byArea(sim))
+        },
+
+        // Teammates share one territory and can cross each other's trails
+        teams: {
+            label: 'Teams',
+            description: 'Teams share their land; the team holding the most when time runs out wins',
+            timed: true,
+            pickups: true,
+            teams: true,
+            spawns: (count, config) => createTeamSpawnPoints(count, config.teamCount, config.width, config.height,
+                config.startRadius * 3, spreadSpawns(config.teamCount, config)),
+            teamOf: (seat, config) => seat % config.teamCount,
+            isOver: (sim, alive) => new Set(alive.map(p => p.team)).size <= 1 || timeUp(sim),
+            // Teams by their shared land, and within a team whoever is still out there first
+            rank: (sim) => [...sim.state.players].sort((a, b) =>
+                byArea(sim)(a, b) || a.team - b.team || b.alive - a.alive || a.id - b.id)
+        },
+
+        // Nothing but skill: no power-ups
+        lms: {
+            label: 'Last man standing',
+            description: 'No clock; the last one alive wins',
+            timed: false,
+            pickups: false,
+            spawns: spreadSpawns,
+            isOver: (sim, alive) => alive.length <= 1,
+            // Survivors first, then by how long they lasted
+            rank: (sim) => [...sim.state.players].sort((a, b) =>
+                b.alive - a.alive || (b.eliminatedAt || 0) - (a.eliminatedAt || 0) || byArea(sim)(a, b))
+        },
+
+        timed: {
+            label: 'Timed',
+            description: 'Plays the full clock; the largest share wins, eliminated or not',
+            timed: true,
+            pickups: true,
+            spawns: spreadSpawns,
+            isOver: (sim, alive) => alive.length === 0 || timeUp(sim),
+            rank: (sim) => [...sim.state.players].sort(byArea(sim))
+        },
+
+        // The tutorial and practice scenarios (see tutorial.js) decide for
+        // themselves when they're done; not offered for online rooms
+        practice: {
+            label: 'Practice',
+            description: 'No clock and no end; the lesson says when it\'s over',
+            timed: false,
+            pickups: false,
+            offline: true,
+            spawns: spreadSpawns,
+            isOver: () => false,
+            rank: (sim) => [...sim.state.players].sort(byArea(sim))
+        }
+    };
+
+    function getMode(name) {
+        return Object.hasOwn(MATCH_MODES, name) ? MATCH_MODES[name] : MATCH_MODES.ffa;
+    }
+
+    return { MATCH_MODES, TEAMS, getMode, createSpawnPoints, createTeamSpawnPoints };
+});
@@ -0,0 +1,184 @@
+// Client side of an online match. The server is authoritative; this keeps the
+// local simulation in step with its snapshots. Our own player is predicted by
+// applying inputs immediately and replaying the unacknowledged ones on top of
+// every snapshot; everyone else is drawn slightly in the past, interpolated
+// between the two snapshots around that moment.
+class NetworkSession {
+    constructor(url, game) {
+        this.game = game;
+        this.url = url;
+        this.interpolationDelay = 100; // ms other players are drawn behind the server
+
+        this.seq = 0;
+        this.pending = []; // inputs the server hasn't acknowledged: { seq, direction, tick }
+        this.localTick = 0;
+        this.ackLocalTick = 0; // local tick of the last acknowledged input
+        this.lastAck = 0;
+        this.welcomeTick = 0;
+        this.snapshots = []; // recent { tick, receivedAt, positions }
+        this.trails = new Map(); // player id -> authoritative trail
+
+        this.connect();
+    }
+
+    connect() {
+        this.socket = new WebSocket(this.url);
+        this.socket.onmessage = (e) => this.handleMessage(JSON.parse(e.data));
+        this.socket.onclose = () => this.game.handleDisconnect();
+    }
+
+    send(message) {
+        if (this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        if (message.type === 'welcome') {
+            this.pending = [];
+            this.localTick = 0;
+            this.ackLocalTick = 0;
+            this.lastAck = 0;
+            this.welcomeTick = message.tick;
+            this.snapshots = [];
+            this.trails.clear();
+            this.game.startOnlineMatch(message);
+        } else if (message.type === 'snapshot' && this.game.sim) {
+            this.applySnapshot(message);
+        } else if (message.type === 'replay') {
+            this.game.setReplay(message.replay);
+        }
+    }
+
+    // Called once per local tick with the player's new direction, if any
+    predict(direction) {
+        const sim = this.game.sim;
+        const player = this.game.getLocalPlayer();
+
+        if (player && player.alive) {
+            if (direction) {
+                this.seq++;
+                this.pending.push({ seq: this.seq, direction, tick: this.localTick });
+                this.send({ type: 'input', seq: this.seq, direction });
+                sim.applyInput(player, direction);
+            }
+            sim.movePlayer(player, sim.dt);
+        }
+        this.localTick++;
+    }
+
+    applySnapshot(snapshot) {
+        const sim = this.game.sim;
+        const grid = sim.state.grid;
+
+        sim.state.tick = snapshot.tick;
+        sim.state.time = snapshot.time;
+        sim.state.running = snapshot.running;
+
+        if (snapshot.territory) {
+            grid.decodeRuns(snapshot.territory);
+            sim.updateTerritories();
+        }
+        sim.state.pickups = snapshot.pickups;
+
+        const positions = new Map();
+        for (const data of snapshot.players) {
+            const trail = data.trailFrom > 0 ? this.trails.get(data.id) || [] : [];
+            for (const [x, y] of data.trail) trail.push({ x, y });
+            this.trails.set(data.id, trail);
+            positions.set(data.id, data);
+
+            const player = sim.getPlayer(data.id);
+            player.name = data.name;
+            player.appearance = data.appearance;
+            player.speed = data.speed;
+            player.kills = data.kills;
+            player.effects = data.effects;
+            if (player.alive && !data.alive) {
+                player.trail = [];
+                player.eliminatedAt = snapshot.tick;
+            }
+            player.alive = data.alive;
+        }
+
+        this.snapshots.push({ tick: snapshot.tick, receivedAt: performance.now(), positions });
+        while (this.snapshots.length > 30) this.snapshots.shift();
+
+        this.reconcile(snapshot);
+        this.game.handleEvents(snapshot.events);
+    }
+
+    reconcile(snapshot) {
+        const sim = this.game.sim;
+        const player = this.game.getLocalPlayer();
+        if (!player) return;
+
+        // Line the snapshot up with our own tick count through the last acknowledged input
+        if (snapshot.ack > this.lastAck) {
+            const acked = this.pending.find(input => input.seq === snapshot.ack);
+            if (acked) this.ackLocalTick = acked.tick;
+            this.lastAck = snapshot.ack;
+        }
+        this.pending = this.pending.filter(input => input.seq > snapshot.ack);
+        const baseTick = snapshot.ack > 0
+            ? this.ackLocalTick + (snapshot.tick - snapshot.ackTick)
+            : snapshot.tick - this.welcomeTick;
+
+        // Start from the authoritative state...
+        const data = snapshot.players.find(p => p.id === player.id);
+        player.x = data.x;
+        player.y = data.y;
+        player.direction = { ...data.direction };
+        player.trail = this.trails.get(player.id).slice();
+        player.trailDirection = player.trail.length > 0 ? { ...player.direction } : null;
+        if (!player.alive) {
+            this.pending = [];
+            return;
+        }
+
+        // ...and replay what the server hasn't seen yet
+        const firstTick = Math.max(baseTick, this.localTick - sim.config.tickRate);
+        for (let tick = firstTick; tick < this.localTick; tick++) {
+            for (const input of this.pending) {
+                if (input.tick === tick) sim.applyInput(player, input.direction);
+            }
+            sim.movePlayer(player, sim.dt);
+        }
+    }
+
+    // Places the other players between the snapshots around the render time
+    interpolate() {
+        const sim = this.game.sim;
+        if (!sim || this.snapshots.length === 0) return;
+
+        const latest = this.snapshots[this.snapshots.length - 1];
+        const tickLength = 1000 / sim.config.tickRate;
+        const renderTick = latest.tick +
+            (performance.now() - latest.receivedAt - this.interpolationDelay) / tickLength;
+
+        let from = this.snapshots[0];
+        let to = latest;
+        for (let i = 0; i < this.snapshots.length - 1; i++) {
+            if (this.snapshots[i].tick <= renderTick && this.snapshots[i + 1].tick >= renderTick) {
+                from = this.snapshots[i];
+                to = this.snapshots[i + 1];
+                break;
+            }
+        }
+        const span = to.tick - from.tick;
+        const t = span > 0 ? Math.max(0, Math.min(1, (renderTick - from.tick) / span)) : 1;
+
+        for (const player of sim.state.players) {
+            if (player.id === this.game.localPlayerId) continue;
+
+            const a = from.positions.get(player.id);
+            const b = to.positions.get(player.id);
+            if (!a || !b) continue;
+
+            player.x = a.x + (b.x - a.x) * t;
+            player.y = a.y + (b.y - a.y) * t;
+            player.direction = { ...b.direction };
+            player.trail = this.trails.get(player.id) || [];
+        }
+    }
+}
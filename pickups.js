@@ -0,0 +1,45 @@
+// Power-ups lying around the arena. The simulation drops one now and then on
+// unclaimed ground, and whoever drives over it gets its effect: timed ones
+// last for their duration, the bomb goes off on the spot.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    const PICKUP_TYPES = {
+        speed: {
+            label: 'Speed boost',
+            icon: '»',
+            color: '#f0b90b',
+            duration: 5000, // ms
+            speedMultiplier: 1.5
+        },
+        // Takes the hit the next time the trail is crossed, and is used up
+        shield: {
+            label: 'Shield',
+            icon: '◆',
+            color: '#4fc3f7',
+            duration: 20000
+        },
+        // Nobody can cut the trail meanwhile, its owner included
+        freeze: {
+            label: 'Trail freeze',
+            icon: '❄',
+            color: '#e0f7fa',
+            duration: 4000
+        },
+        bomb: {
+            label: 'Territory bomb',
+            icon: '✸',
+            color: '#ff7043',
+            radius: 60 // px of land claimed around the player
+        }
+    };
+
+    // The ones that last a while, as opposed to going off at once
+    const TIMED_PICKUPS = Object.keys(PICKUP_TYPES).filter(type => PICKUP_TYPES[type].duration);
+
+    return { PICKUP_TYPES, TIMED_PICKUPS };
+});
@@ -0,0 +1,79 @@
+// The player's profile on the game server's /api (see server/profiles.js).
+// The profile token, name and look are kept in localStorage, so they stick
+// even when the page runs without the server; stats need it.
+const PROFILE_STORAGE = 'paperio:profile';
+
+class ProfileClient {
+    constructor() {
+        this.profile = null; // { id, token, name, ...stats }
+        try {
+            this.profile = JSON.parse(localStorage.getItem(PROFILE_STORAGE));
+        } catch (error) {
+            // Start without one
+        }
+    }
+
+    get name() {
+        return this.profile ? this.profile.name : null;
+    }
+
+    get appearance() {
+        return normalizeAppearance(this.profile && this.profile.appearance);
+    }
+
+    get online() {
+        return window.location.protocol.startsWith('http');
+    }
+
+    store(profile) {
+        // The token only comes with a new profile, keep the one we have
+        this.profile = { ...this.profile, ...profile };
+        localStorage.setItem(PROFILE_STORAGE, JSON.stringify(this.profile));
+        return this.profile;
+    }
+
+    async request(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.profile && this.profile.token) headers.Authorization = `Bearer ${this.profile.token}`;
+
+        const response = await fetch(path, { method, headers, body: body && JSON.stringify(body) });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+        return data;
+    }
+
+    // Creates the profile on first use and renames it after that. Without
+    // the server the name is only kept locally. A look picked before logging
+    // in goes along to the new profile.
+    async login(name) {
+        if (!this.online) return this.store({ name });
+        const { appearance } = this;
+        if (this.profile && this.profile.token) {
+            try {
+                return this.store(await this.request('PUT', '/api/profiles/me', { name }));
+            } catch (error) {
+                // The server forgot us, make a new profile below
+            }
+        }
+        return this.store(await this.request('POST', '/api/profiles', { name, appearance }));
+    }
+
+    // Kept locally right away so the next match uses it, then on the server
+    async saveAppearance(appearance) {
+        this.store({ appearance: normalizeAppearance(appearance) });
+        if (!this.online || !this.profile.token) return this.profile;
+        return this.store(await this.request('PUT', '/api/profiles/me', { appearance: this.profile.appearance }));
+    }
+
+    // Latest stats, or null without a profile on the server
+    async refresh() {
+        if (!this.online || !this.profile || !this.profile.token) return null;
+        return this.store(await this.request('GET', '/api/profiles/me'));
+    }
+
+    // period: 'all', 'weekly' or 'daily'
+    leaderboard(period = 'all', page = 1, pageSize = 10) {
+        const query = new URLSearchParams({ period, page, pageSize });
+        return this.request('GET', `/api/leaderboard?${query}`);
+    }
+}
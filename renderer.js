@@ -0,0 +1,1254 @@
+// Draws a simulation's state onto a canvas. The live game and the replay
+// viewer share it, so a replay looks exactly like the match did.
+//
+// The world is usually bigger than the canvas, so drawing goes through a
+// camera. Sizes are in CSS pixels; resize() sets the canvas up for the
+// device pixel ratio so it stays sharp on high-DPI screens.
+//
+// What changes rarely is kept on offscreen layers over the world, at the
+// resolution it has on screen: the ground with the arena, the territory
+// (redrawn only around a capture) and the trails (extended as points are
+// added). Layers are made of tiles, painted as they come into view, so they
+// stay sharp however big the world. Each frame puts the tiles in view on
+// screen, through the 2D canvas or WebGL, and draws the heads, pickups and
+// the ends of the trails over them.
+
+// Adds a closed polygon of [x, y] points to the current path
+function tracePolygon(ctx, points) {
+    ctx.moveTo(points[0][0], points[0][1]);
+    for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+    ctx.closePath();
+}
+
+// Optional markers that tell players apart without colour, by seat (or team):
+// a shape on the head, the same symbol in lists and a pattern on the land
+const PLAYER_MARKERS = [
+    { shape: 'circle', symbol: '●', fill: 'tint' },
+    { shape: 'square', symbol: '■', fill: 'stripes' },
+    { shape: 'triangle', symbol: '▲', fill: 'dots' },
+    { shape: 'diamond', symbol: '◆', fill: 'checker' },
+    { shape: 'star', symbol: '★', fill: 'weave' },
+    { shape: 'plus', symbol: '✚', fill: 'stripes' },
+    { shape: 'cross', symbol: '✖', fill: 'dots' },
+    { shape: 'bar', symbol: '▬', fill: 'checker' }
+];
+
+function playerMarker(player) {
+    const index = player.team !== null ? player.team : player.id - 1;
+    return PLAYER_MARKERS[index % PLAYER_MARKERS.length];
+}
+
+// Rectangles are { left, top, right, bottom } in world pixels
+function unionRects(a, b) {
+    return {
+        left: Math.min(a.left, b.left),
+        top: Math.min(a.top, b.top),
+        right: Math.max(a.right, b.right),
+        bottom: Math.max(a.bottom, b.bottom)
+    };
+}
+
+function rectsOverlap(a, b) {
+    return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+// Merges overlapping rectangles so nothing is redrawn twice
+function mergeRects(rects) {
+    const merged = [];
+    for (let rect of rects) {
+        for (let i = 0; i < merged.length;) {
+            if (rectsOverlap(merged[i], rect)) {
+                rect = unionRects(merged[i], rect);
+                merged.splice(i, 1);
+                i = 0;
+            } else {
+                i++;
+            }
+        }
+        merged.push(rect);
+    }
+    return merged;
+}
+
+// Bounding box of { x, y } points grown by pad on every side; null for none
+function pointsBounds(points, pad) {
+    if (points.length === 0) return null;
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    for (const { x, y } of points) {
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+    }
+    return { left: left - pad, top: top - pad, right: right + pad, bottom: bottom + pad };
+}
+
+function intersectRects(a, b) {
+    return {
+        left: Math.max(a.left, b.left),
+        top: Math.max(a.top, b.top),
+        right: Math.min(a.right, b.right),
+        bottom: Math.min(a.bottom, b.bottom)
+    };
+}
+
+const LAYER_TILE_SIZE = 512; // layer pixels along each side of a tile
+
+// Offscreen canvases covering the world at a fixed scale, in square tiles
+// made when they first come into view and painted whole by repaint(ctx,
+// rect). Past maxTiles, the tiles out of view the longest are dropped. Each
+// tile keeps the part drawn since the compositor last looked in dirty.
+class WorldLayer {
+    constructor(width, height, scale, { repaint, maxTiles = Infinity }) {
+        this.width = width;
+        this.height = height;
+        this.scale = scale;
+        this.repaint = repaint;
+        this.maxTiles = maxTiles;
+        this.tileSize = LAYER_TILE_SIZE / scale; // in world pixels
+        this.tiles = new Map(); // 'column,row' -> { rect, canvas, ctx, dirty, seen }
+        this.visible = []; // tiles in view, as of the last prepare()
+        this.dropped = []; // tiles the compositor can let go of
+        this.frame = 0;
+    }
+
+    // Existing tiles that overlap a world rectangle
+    tilesIn(rect) {
+        return [...this.tiles.values()].filter(tile => rectsOverlap(tile.rect, rect));
+    }
+
+    // Makes the tiles in view that are missing; returns how many it painted
+    prepare(view) {
+        const size = this.tileSize;
+        const area = intersectRects(view, { left: 0, top: 0, right: this.width, bottom: this.height });
+        this.frame++;
+        this.visible = [];
+        let painted = 0;
+        for (let row = Math.max(0, Math.floor(area.top / size)); row * size < area.bottom; row++) {
+            for (let column = Math.max(0, Math.floor(area.left / size)); column * size < area.right; column++) {
+                const key = `${column},${row}`;
+                let tile = this.tiles.get(key);
+                if (!tile) {
+                    tile = this.createTile(column, row);
+                    this.tiles.set(key, tile);
+                    painted++;
+                }
+                tile.seen = this.frame;
+                this.visible.push(tile);
+            }
+        }
+        
+        if (this.tiles.size > this.maxTiles) {
+            const stale = [...this.tiles].filter(([, tile]) => tile.seen !== this.frame).sort((a, b) => a[1].seen - b[1].seen);
+            for (const [key, tile] of stale.slice(0, this.tiles.size - this.maxTiles)) {
+                this.tiles.delete(key);
+                this.dropped.push(tile);
+            }
+        }
+        return painted;
+    }
+
+    createTile(column, row) {
+        const size = this.tileSize;
+        const canvas = document.createElement('canvas');
+        canvas.width = LAYER_TILE_SIZE;
+        canvas.height = LAYER_TILE_SIZE;
+        const tile = {
+            rect: { left: column * size, top: row * size, right: (column + 1) * size, bottom: (row + 1) * size },
+            canvas,
+            ctx: canvas.getContext('2d'),
+            dirty: null,
+            seen: 0
+        };
+        this.drawTile(tile, tile.rect, (ctx) => this.repaint(ctx, tile.rect), false);
+        return tile;
+    }
+
+    // Clears a rectangle (the whole layer if null) and has draw(ctx) paint it
+    // again in world coordinates, clipped to it
+    redraw(rect, draw) {
+        const { scale } = this;
+        // Whole layer pixels, so no half-cleared seams are left at the edges
+        const area = rect ? {
+            left: Math.floor(rect.left * scale) / scale,
+            top: Math.floor(rect.top * scale) / scale,
+            right: Math.ceil(rect.right * scale) / scale,
+            bottom: Math.ceil(rect.bottom * scale) / scale
+        } : { left: 0, top: 0, right: this.width, bottom: this.height };
+        for (const tile of this.tilesIn(area)) this.drawTile(tile, area, draw, true);
+    }
+
+    // Has draw(ctx) paint over what's there; rect is the area it touches
+    paint(rect, draw) {
+        for (const tile of this.tilesIn(rect)) this.drawTile(tile, rect, draw, false);
+    }
+
+    // Draws in world coordinates onto one tile, clipped to area
+    drawTile(tile, area, draw, clear) {
+        const { scale } = this;
+        const clip = intersectRects(area, tile.rect);
+        const width = clip.right - clip.left;
+        const height = clip.bottom - clip.top;
+        
+        const ctx = tile.ctx;
+        ctx.save();
+        ctx.setTransform(scale, 0, 0, scale, -tile.rect.left * scale, -tile.rect.top * scale);
+        if (clear) ctx.clearRect(clip.left, clip.top, width, height);
+        ctx.beginPath();
+        ctx.rect(clip.left, clip.top, width, height);
+        ctx.clip();
+        draw(ctx);
+        ctx.restore();
+        tile.dirty = tile.dirty ? unionRects(tile.dirty, clip) : clip;
+    }
+
+    takeDirty(tile) {
+        const dirty = tile.dirty;
+        tile.dirty = null;
+        return dirty;
+    }
+
+    takeDropped() {
+        const dropped = this.dropped;
+        this.dropped = [];
+        return dropped;
+    }
+}
+
+// Puts layers on screen with the renderer's own 2D context, which already
+// has the camera applied
+class CanvasCompositor {
+    constructor(ctx) {
+        this.ctx = ctx;
+    }
+
+    resize() {}
+
+    release() {}
+
+    clear(width, height) {
+        this.ctx.fillStyle = '#111';
+        this.ctx.fillRect(0, 0, width, height);
+    }
+
+    // Copies only the part of each tile in view
+    drawLayer(layer, view) {
+        const world = { left: 0, top: 0, right: layer.width, bottom: layer.height };
+        const { scale } = layer;
+        for (const tile of layer.visible) {
+            layer.takeDirty(tile);
+            const { left, top, right, bottom } = intersectRects(intersectRects(tile.rect, view), world);
+            if (right <= left || bottom <= top) continue;
+            
+            this.ctx.drawImage(tile.canvas,
+                (left - tile.rect.left) * scale, (top - tile.rect.top) * scale, (right - left) * scale, (bottom - top) * scale,
+                left, top, right - left, bottom - top);
+        }
+    }
+}
+
+const LAYER_VERTEX_SHADER = `
+    attribute vec2 position;
+    uniform vec4 view;
+    uniform vec2 origin;
+    uniform float texScale;
+    varying vec2 uv;
+    void main() {
+        uv = (position - origin) * texScale;
+        gl_Position = vec4(position * view.xy + view.zw, 0.0, 1.0);
+    }
+`;
+
+const LAYER_FRAGMENT_SHADER = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+    uniform sampler2D layer;
+    varying vec2 uv;
+    void main() {
+        gl_FragColor = texture2D(layer, uv);
+    }
+`;
+
+// Puts layers on screen as textures, one per tile, on a WebGL canvas lying
+// under the 2D one, which still gets everything drawn each frame. After the
+// first upload only the dirty part of a tile goes to the GPU again.
+class WebGLCompositor {
+    constructor(canvas, gl) {
+        this.canvas = canvas;
+        this.gl = gl;
+        this.setup();
+        
+        // Textures are gone with a lost context; they're uploaded again whole
+        canvas.addEventListener('webglcontextlost', (e) => e.preventDefault());
+        canvas.addEventListener('webglcontextrestored', () => this.setup());
+    }
+
+    setup() {
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            return shader;
+        };
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, LAYER_VERTEX_SHADER));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, LAYER_FRAGMENT_SHADER));
+        gl.linkProgram(program);
+        gl.useProgram(program);
+        this.uniforms = {
+            view: gl.getUniformLocation(program, 'view'),
+            origin: gl.getUniformLocation(program, 'origin'),
+            texScale: gl.getUniformLocation(program, 'texScale')
+        };
+        
+        const position = gl.getAttribLocation(program, 'position');
+        gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+        
+        // Layers are mostly transparent and drawn over each other
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        gl.clearColor(0x11 / 255, 0x11 / 255, 0x11 / 255, 1);
+        this.textures = new Map(); // layer tile -> WebGLTexture
+    }
+
+    // Lays the WebGL canvas exactly under target
+    resize(width, height, pixelRatio, target) {
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.canvas.style.left = `${target.offsetLeft + target.clientLeft}px`;
+        this.canvas.style.top = `${target.offsetTop + target.clientTop}px`;
+        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    release(tile) {
+        if (!this.textures.has(tile)) return;
+        this.gl.deleteTexture(this.textures.get(tile));
+        this.textures.delete(tile);
+    }
+
+    clear() {
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+    }
+
+    drawLayer(layer, view) {
+        const gl = this.gl;
+        // World to clip space for the rectangle in view
+        const width = view.right - view.left;
+        const height = view.bottom - view.top;
+        gl.uniform4f(this.uniforms.view, 2 / width, -2 / height, -1 - 2 * view.left / width, 1 + 2 * view.top / height);
+        gl.uniform1f(this.uniforms.texScale, layer.scale / LAYER_TILE_SIZE);
+        
+        for (const tile of layer.visible) {
+            const dirty = layer.takeDirty(tile);
+            let texture = this.textures.get(tile);
+            if (!texture) {
+                texture = gl.createTexture();
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, tile.canvas);
+                this.textures.set(tile, texture);
+            } else {
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                if (dirty) this.upload(layer, tile, dirty);
+            }
+            
+            // Edge tiles reach past the world, which is left off
+            const right = Math.min(layer.width, tile.rect.right);
+            const bottom = Math.min(layer.height, tile.rect.bottom);
+            const { left, top } = tile.rect;
+            gl.uniform2f(this.uniforms.origin, left, top);
+            gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+                left, top, right, top, left, bottom, right, bottom
+            ]), gl.DYNAMIC_DRAW);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        }
+    }
+
+    upload(layer, tile, rect) {
+        const { scale } = layer;
+        const left = Math.max(0, Math.floor((rect.left - tile.rect.left) * scale));
+        const top = Math.max(0, Math.floor((rect.top - tile.rect.top) * scale));
+        const right = Math.min(LAYER_TILE_SIZE, Math.ceil((rect.right - tile.rect.left) * scale));
+        const bottom = Math.min(LAYER_TILE_SIZE, Math.ceil((rect.bottom - tile.rect.top) * scale));
+        if (right <= left || bottom <= top) return;
+        
+        const pixels = tile.ctx.getImageData(left, top, right - left, bottom - top);
+        this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, left, top, this.gl.RGBA, this.gl.UNSIGNED_BYTE, pixels);
+    }
+}
+
+// Frame rate and draw times over the last second, for the stats overlay
+class FrameStats {
+    constructor() {
+        this.frames = []; // { at, duration, redraws }
+    }
+
+    record(at, duration, redraws = 0) {
+        this.frames.push({ at, duration, redraws });
+        while (this.frames[0].at <= at - 1000) this.frames.shift();
+    }
+
+    summary() {
+        const durations = this.frames.map(frame => frame.duration);
+        return {
+            fps: this.frames.length,
+            average: durations.reduce((sum, d) => sum + d, 0) / Math.max(1, durations.length),
+            worst: Math.max(0, ...durations),
+            redraws: this.frames.reduce((sum, frame) => sum + frame.redraws, 0)
+        };
+    }
+}
+
+class ArenaRenderer {
+    // options.backend: 'webgl' to composite the layers with WebGL when the
+    // browser has it, the 2D canvas otherwise
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.trailWidth = 4;
+        this.gridSpacing = 50;
+        this.viewWidth = canvas.width;
+        this.viewHeight = canvas.height;
+        this.pixelRatio = 1;
+        this.fillPatterns = new Map(); // 'fill:color' -> CanvasPattern
+        this.markers = false;
+        this.highContrast = false;
+        this.reducedMotion = false;
+        
+        this.maxLayerPixels = 6e6; // kept per layer, besides the tiles in view
+        this.layers = null; // { ground, territory, trails } for layerSim
+        this.layerSim = null;
+        this.territoryCache = new Map(); // owner id -> { rings, color, fill, box }
+        this.trailCache = new Map(); // player id -> { count, first, last, length, color, style, box }
+        this.frameRedraws = 0; // layer regions redrawn during the last render
+        
+        this.compositor = (options.backend === 'webgl' && this.createWebGLCompositor()) || new CanvasCompositor(this.ctx);
+        this.backend = this.compositor instanceof WebGLCompositor ? 'webgl' : 'canvas';
+    }
+
+    // A WebGL canvas under ours for the layers, or null without WebGL
+    createWebGLCompositor() {
+        const glCanvas = document.createElement('canvas');
+        const gl = glCanvas.getContext('webgl', { alpha: false, antialias: false });
+        const parent = this.canvas.parentElement;
+        if (!gl || !parent) return null;
+        
+        if (getComputedStyle(parent).position === 'static') parent.style.position = 'relative';
+        glCanvas.style.position = 'absolute';
+        this.canvas.style.position = 'relative';
+        this.canvas.style.background = 'transparent';
+        parent.insertBefore(glCanvas, this.canvas);
+        return new WebGLCompositor(glCanvas, gl);
+    }
+
+    // Display settings (see settings.js): markers, highContrast, reducedMotion
+    configure({ markers, highContrast, reducedMotion }) {
+        this.markers = markers;
+        this.highContrast = highContrast;
+        this.reducedMotion = reducedMotion;
+        this.trailWidth = highContrast ? 6 : 4;
+        this.fillPatterns.clear();
+        this.layerSim = null; // the layers are drawn again with the new look
+    }
+
+    resize(width, height, pixelRatio = 1) {
+        this.viewWidth = width;
+        this.viewHeight = height;
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.compositor.resize(width, height, pixelRatio, this.canvas);
+    }
+
+    // options.camera: { x, y, zoom } centres the view on a world point;
+    // without one the whole world is fitted into the view
+    // options.highlightId: player to mark with a ring (e.g. the one followed)
+    render(sim, options = {}) {
+        const ctx = this.ctx;
+        this.frameRedraws = 0;
+        
+        // Clear canvas
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.viewWidth, this.viewHeight);
+        this.compositor.clear(this.viewWidth, this.viewHeight);
+        if (!sim) return;
+        
+        const players = sim.state.players;
+        ctx.save();
+        const camera = options.camera || this.fitCamera(sim);
+        const view = this.applyCamera(sim, camera);
+        this.updateLayers(sim, camera.zoom, view);
+        const { ground, territory, trails } = this.layers;
+        for (const layer of [ground, territory, trails]) this.compositor.drawLayer(layer, view);
+        
+        this.drawPickups(sim);
+        if (options.goals) this.drawGoals(sim, options.goals);
+        
+        // The trails layer has everything up to each trail's last point
+        for (const player of players) {
+            if (!player.alive || player.trail.length < 2) continue;
+            const frozen = sim.hasEffect(player, 'freeze');
+            const cached = this.trailCache.get(player.id);
+            if (cached) {
+                this.drawTrailTip(player, cached);
+                if (frozen) this.drawFrozen(player);
+            } else {
+                this.drawTrail(player, frozen);
+            }
+        }
+        
+        // Draw players
+        const playerSize = sim.config.playerSize;
+        for (const player of players) {
+            if (!player.alive) continue;
+            this.drawHead(player, playerSize);
+            this.drawEffects(sim, player, playerSize);
+            
+            if (player.id === options.highlightId) {
+                ctx.strokeStyle = '#f0b90b';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(player.x, player.y, playerSize + 6, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+        
+        ctx.restore();
+        return view;
+    }
+
+    // Makes sure the layers are for this match at a resolution that suits
+    // the zoom, brings territory and trails up to date, then paints the tiles
+    // that just came into view
+    updateLayers(sim, zoom, view) {
+        const { width, height } = sim.config;
+        const scale = this.layerScale(zoom);
+        if (this.layerSim !== sim || this.layers.ground.scale !== scale) {
+            if (this.layers) {
+                for (const layer of Object.values(this.layers)) {
+                    for (const tile of [...layer.tiles.values(), ...layer.takeDropped()]) this.compositor.release(tile);
+                }
+            }
+            const maxTiles = Math.max(1, Math.floor(this.maxLayerPixels / LAYER_TILE_SIZE ** 2));
+            const players = () => sim.state.players;
+            this.layers = {
+                ground: new WorldLayer(width, height, scale, {
+                    maxTiles,
+                    repaint: (ctx, rect) => this.drawWorld(sim, rect, ctx)
+                }),
+                territory: new WorldLayer(width, height, scale, {
+                    maxTiles,
+                    repaint: (ctx, rect) => this.drawTerritories(players(), rect, ctx)
+                }),
+                trails: new WorldLayer(width, height, scale, {
+                    maxTiles,
+                    repaint: (ctx, rect) => this.drawCachedTrails(players(), rect, ctx)
+                })
+            };
+            this.layerSim = sim;
+            this.territoryCache.clear();
+            this.trailCache.clear();
+        }
+        
+        this.updateTerritoryLayer(sim.state.players);
+        this.updateTrailLayer(sim.state.players);
+        for (const layer of Object.values(this.layers)) {
+            this.frameRedraws += layer.prepare(view);
+            for (const tile of layer.takeDropped()) this.compositor.release(tile);
+        }
+    }
+
+    // Layer pixels per world pixel: a power of two at or above what's on
+    // screen, so small zoom changes don't redraw everything
+    layerScale(zoom) {
+        return 2 ** Math.ceil(Math.log2(zoom * this.pixelRatio));
+    }
+
+    // Rings are replaced, never changed, when land is won or lost, so an owner
+    // whose rings, colour or fill differ from last time gets the area they
+    // covered then and cover now redrawn
+    updateTerritoryLayer(players) {
+        const cache = this.territoryCache;
+        const fresh = cache.size === 0;
+        const owners = players.filter(player => player.owner === player.id);
+        const changed = [];
+        
+        for (const player of owners) {
+            const fill = this.territoryFill(player);
+            const cached = cache.get(player.id);
+            if (cached && cached.rings === player.territory && cached.color === player.color && cached.fill === fill) continue;
+            
+            const box = pointsBounds(player.territory.flat(), 2);
+            if (cached && cached.box) changed.push(cached.box);
+            if (box) changed.push(box);
+            cache.set(player.id, { rings: player.territory, color: player.color, fill, box });
+        }
+        for (const [id, cached] of cache) {
+            if (owners.some(player => player.id === id)) continue;
+            if (cached.box) changed.push(cached.box);
+            cache.delete(id);
+        }
+        if (changed.length === 0) return;
+        
+        for (const rect of fresh ? [null] : mergeRects(changed)) {
+            this.layers.territory.redraw(rect, (ctx) => this.drawTerritories(players, rect, ctx));
+            this.frameRedraws++;
+        }
+    }
+
+    // The cached territories that reach into rect (everywhere if null)
+    drawTerritories(players, rect, ctx) {
+        for (const player of players) {
+            const cached = this.territoryCache.get(player.id);
+            if (cached && cached.box && (!rect || rectsOverlap(cached.box, rect))) this.drawTerritory(player, ctx);
+        }
+    }
+
+    // A trail only grows until it's closed or its owner is out, so new points
+    // are stroked onto the layer as they come. One that went away is cleared
+    // by redrawing the others around where it was.
+    updateTrailLayer(players) {
+        const cache = this.trailCache;
+        const layer = this.layers.trails;
+        const pad = this.trailWidth + 16 / layer.scale; // room for the glow
+        const erased = [];
+        
+        for (const player of players) {
+            const { trail: style } = normalizeAppearance(player.appearance);
+            // A gradient stretches to the head, so drawTrail draws it every frame
+            const trail = player.alive && style !== 'gradient' ? player.trail : [];
+            let cached = cache.get(player.id);
+            if (cached && !this.continuesTrail(cached, trail, player.color, style)) {
+                erased.push(cached.box);
+                cache.delete(player.id);
+                cached = null;
+            }
+            if (trail.length < 2) continue;
+            
+            if (!cached) {
+                cached = { count: 1, first: { ...trail[0] }, last: { ...trail[0] }, length: 0,
+                    color: player.color, style, box: pointsBounds([trail[0]], pad) };
+                cache.set(player.id, cached);
+            }
+            if (trail.length > cached.count) {
+                const added = trail.slice(cached.count - 1);
+                const box = pointsBounds(added, pad);
+                const offset = cached.length;
+                layer.paint(box, (ctx) => this.strokeTrail(ctx, added, player.color, style, offset));
+                for (let i = 1; i < added.length; i++) {
+                    cached.length += Math.hypot(added[i].x - added[i - 1].x, added[i].y - added[i - 1].y);
+                }
+                cached.count = trail.length;
+                cached.last = { ...trail[trail.length - 1] };
+                cached.box = unionRects(cached.box, box);
+            }
+        }
+        
+        for (const rect of mergeRects(erased)) {
+            layer.redraw(rect, (ctx) => this.drawCachedTrails(players, rect, ctx));
+            this.frameRedraws++;
+        }
+    }
+
+    // The trails as far as they're cached, where they reach into rect
+    drawCachedTrails(players, rect, ctx) {
+        for (const player of players) {
+            const cached = this.trailCache.get(player.id);
+            if (cached && rectsOverlap(cached.box, rect)) {
+                this.strokeTrail(ctx, player.trail.slice(0, cached.count), cached.color, cached.style, 0);
+            }
+        }
+    }
+
+    // Whether a trail is the cached one with points added on the end
+    continuesTrail(cached, trail, color, style) {
+        const same = (a, b) => a.x === b.x && a.y === b.y;
+        return color === cached.color && style === cached.style && trail.length >= cached.count &&
+            same(trail[0], cached.first) && same(trail[cached.count - 1], cached.last);
+    }
+
+    // With markers on, the marker's pattern stands in for the player's own fill
+    territoryFill(player) {
+        return this.markers ? playerMarker(player).fill : normalizeAppearance(player.appearance).fill;
+    }
+
+    drawTerritory(player, ctx = this.ctx) {
+        const fill = this.territoryFill(player);
+        ctx.fillStyle = fill === 'tint' ? player.color + (this.highContrast ? '70' : '40') : this.getFillPattern(fill, player.color);
+        ctx.strokeStyle = player.color;
+        ctx.lineWidth = this.highContrast ? 3 : 2;
+        
+        // All rings go in one path so holes are left unfilled
+        ctx.beginPath();
+        for (const territory of player.territory) {
+            if (territory.length > 2) {
+                ctx.moveTo(territory[0].x, territory[0].y);
+                for (let i = 1; i < territory.length; i++) {
+                    ctx.lineTo(territory[i].x, territory[i].y);
+                }
+                ctx.closePath();
+            }
+        }
+        ctx.fill('nonzero');
+        ctx.stroke();
+    }
+
+    // A small tile of the fill in the player's colour, repeated over the
+    // territory. Tiles are made once per fill and colour.
+    getFillPattern(fill, color) {
+        const key = `${fill}:${color}`;
+        if (this.fillPatterns.has(key)) return this.fillPatterns.get(key);
+        
+        const size = 16;
+        const tile = document.createElement('canvas');
+        tile.width = size;
+        tile.height = size;
+        const ctx = tile.getContext('2d');
+        const [background, foreground] = this.highContrast ? ['50', 'c0'] : ['30', '70'];
+        ctx.fillStyle = color + background;
+        ctx.fillRect(0, 0, size, size);
+        ctx.fillStyle = color + foreground;
+        ctx.strokeStyle = color + foreground;
+        ctx.lineWidth = 3;
+        
+        if (fill === 'stripes') {
+            ctx.beginPath();
+            for (let offset = -size; offset <= size; offset += size / 2) {
+                ctx.moveTo(offset, size);
+                ctx.lineTo(offset + size, 0);
+            }
+            ctx.stroke();
+        } else if (fill === 'dots') {
+            ctx.beginPath();
+            ctx.arc(size / 4, size / 4, 2.5, 0, Math.PI * 2);
+            ctx.arc(size * 3 / 4, size * 3 / 4, 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (fill === 'checker') {
+            ctx.fillRect(0, 0, size / 2, size / 2);
+            ctx.fillRect(size / 2, size / 2, size / 2, size / 2);
+        } else if (fill === 'weave') {
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(0, size / 4);
+            ctx.lineTo(size / 2, size / 4);
+            ctx.moveTo(size / 2, size * 3 / 4);
+            ctx.lineTo(size, size * 3 / 4);
+            ctx.moveTo(size * 3 / 4, 0);
+            ctx.lineTo(size * 3 / 4, size / 2);
+            ctx.moveTo(size / 4, size / 2);
+            ctx.lineTo(size / 4, size);
+            ctx.stroke();
+        }
+        
+        const pattern = this.ctx.createPattern(tile, 'repeat');
+        this.fillPatterns.set(key, pattern);
+        return pattern;
+    }
+
+    // Bobbing tokens in the pickup's colour with its icon on top
+    drawPickups(sim) {
+        const ctx = this.ctx;
+        const size = sim.config.pickupSize;
+        const bob = this.reducedMotion ? 0 : Math.sin(sim.state.time / 250) * 2;
+        
+        ctx.save();
+        ctx.font = `bold ${size * 1.3}px Arial, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const pickup of sim.state.pickups) {
+            const { color, icon } = PICKUP_TYPES[pickup.type];
+            const y = pickup.y + bob;
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 10;
+            ctx.fillStyle = color + '50';
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(pickup.x, y, size, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.shadowBlur = 0;
+            ctx.fillStyle = '#fff';
+            ctx.fillText(icon, pickup.x, y + 1);
+        }
+        ctx.restore();
+    }
+
+    // Places a lesson asks the player to reach (see tutorial.js): a dashed,
+    // pulsing ring with a label over it
+    drawGoals(sim, goals) {
+        const ctx = this.ctx;
+        const pulse = this.reducedMotion ? 0 : Math.sin(sim.state.time / 200) * 3;
+        
+        ctx.save();
+        ctx.strokeStyle = '#f0b90b';
+        ctx.fillStyle = '#f0b90b';
+        ctx.lineWidth = this.highContrast ? 4 : 3;
+        ctx.setLineDash([8, 6]);
+        ctx.font = 'bold 14px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        for (const goal of goals) {
+            ctx.beginPath();
+            ctx.arc(goal.x, goal.y, goal.radius + pulse, 0, Math.PI * 2);
+            ctx.stroke();
+            if (goal.label) ctx.fillText(goal.label, goal.x, goal.y - goal.radius - 8);
+        }
+        ctx.restore();
+    }
+
+    // Rings around the head for the pickups a player has on
+    drawEffects(sim, player, size) {
+        const ctx = this.ctx;
+        let radius = size + 4;
+        
+        ctx.save();
+        ctx.lineWidth = 2;
+        for (const type of TIMED_PICKUPS) {
+            if (!sim.hasEffect(player, type)) continue;
+            // Blinks for the last second
+            const left = sim.getEffectTimeLeft(player, type);
+            if (left < 1000 && !this.reducedMotion && Math.floor(left / 125) % 2 === 1) continue;
+            
+            ctx.strokeStyle = PICKUP_TYPES[type].color;
+            ctx.setLineDash(type === 'speed' ? [4, 4] : []);
+            ctx.beginPath();
+            ctx.arc(player.x, player.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+            radius += 4;
+        }
+        ctx.restore();
+    }
+
+    // The whole trail up to the head, straight onto the canvas. A frozen
+    // trail gets an icy line along the middle.
+    drawTrail(player, frozen = false) {
+        const ctx = this.ctx;
+        const { trail: style } = normalizeAppearance(player.appearance);
+        const first = player.trail[0];
+        
+        ctx.save();
+        this.setTrailStyle(ctx, player.color, style, 0);
+        if (style === 'gradient') {
+            // Fades in from where the player left their land
+            const gradient = ctx.createLinearGradient(first.x, first.y, player.x, player.y);
+            gradient.addColorStop(0, player.color + '20');
+            gradient.addColorStop(1, player.color);
+            ctx.strokeStyle = gradient;
+        }
+        this.traceTrail(ctx, player);
+        ctx.stroke();
+        ctx.restore();
+        if (frozen) this.drawFrozen(player);
+    }
+
+    // From the last point of a trail on the layer to the head
+    drawTrailTip(player, cached) {
+        this.strokeTrail(this.ctx, [cached.last, player], cached.color, cached.style, cached.length);
+    }
+
+    drawFrozen(player) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = PICKUP_TYPES.freeze.color;
+        ctx.lineWidth = this.trailWidth / 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        this.traceTrail(ctx, player);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    traceTrail(ctx, player) {
+        const first = player.trail[0];
+        ctx.beginPath();
+        ctx.moveTo(first.x, first.y);
+        for (let i = 1; i < player.trail.length; i++) {
+            ctx.lineTo(player.trail[i].x, player.trail[i].y);
+        }
+        // Connect to current position
+        ctx.lineTo(player.x, player.y);
+    }
+
+    // Strokes a run of trail points; offset is how far along the trail the
+    // first one is, so dashes carry on from the part drawn before
+    strokeTrail(ctx, points, color, style, offset) {
+        ctx.save();
+        this.setTrailStyle(ctx, color, style, offset);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    setTrailStyle(ctx, color, style, offset) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = this.trailWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        if (style === 'dashed') {
+            ctx.setLineDash([10, 8]);
+            ctx.lineDashOffset = offset;
+            ctx.lineCap = 'butt';
+        } else if (style === 'glow') {
+            ctx.shadowColor = color;
+            ctx.shadowBlur = 12;
+        }
+    }
+
+    drawHead(player, size) {
+        const ctx = this.ctx;
+        const { skin } = normalizeAppearance(player.appearance);
+        const { x, y, direction } = player;
+        
+        // Player body
+        ctx.fillStyle = player.color;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = this.highContrast ? 3 : 2;
+        ctx.beginPath();
+        if (skin === 'block') {
+            ctx.rect(x - size, y - size, size * 2, size * 2);
+        } else {
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+        }
+        ctx.fill();
+        ctx.stroke();
+        
+        // The marker takes the place of the skin's details
+        if (this.markers) {
+            this.drawMarker(playerMarker(player).shape, x, y, size * 0.6);
+            return;
+        }
+        
+        if (skin === 'target') {
+            ctx.beginPath();
+            ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        const moving = direction.x !== 0 || direction.y !== 0;
+        if (skin === 'eyes') {
+            // Two eyes side by side, looking the way the player goes
+            const side = moving ? { x: -direction.y, y: direction.x } : { x: 1, y: 0 };
+            for (const sign of [-1, 1]) {
+                const eyeX = x + side.x * sign * size * 0.4 + direction.x * size * 0.2;
+                const eyeY = y + side.y * sign * size * 0.4 + direction.y * size * 0.2;
+                ctx.fillStyle = '#fff';
+                ctx.beginPath();
+                ctx.arc(eyeX, eyeY, size * 0.35, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = '#111';
+                ctx.beginPath();
+                ctx.arc(eyeX + direction.x * size * 0.15, eyeY + direction.y * size * 0.15, size * 0.17, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        } else if (moving) {
+            // Direction indicator
+            ctx.fillStyle = '#fff';
+            ctx.beginPath();
+            ctx.arc(x + direction.x * (size - 2), y + direction.y * (size - 2), 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    // A dark shape with a light edge, so it shows on any colour
+    drawMarker(shape, x, y, radius) {
+        const ctx = this.ctx;
+        const r = radius;
+        ctx.save();
+        ctx.fillStyle = '#111';
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        if (shape === 'circle') {
+            ctx.arc(x, y, r * 0.8, 0, Math.PI * 2);
+        } else if (shape === 'square') {
+            ctx.rect(x - r * 0.75, y - r * 0.75, r * 1.5, r * 1.5);
+        } else if (shape === 'bar') {
+            ctx.rect(x - r, y - r * 0.4, r * 2, r * 0.8);
+        } else {
+            // The rest are polygons of points around the centre, in units of r
+            const points = {
+                triangle: [[0, -1], [0.9, 0.7], [-0.9, 0.7]],
+                diamond: [[0, -1], [0.8, 0], [0, 1], [-0.8, 0]],
+                plus: [[-0.3, -1], [0.3, -1], [0.3, -0.3], [1, -0.3], [1, 0.3], [0.3, 0.3],
+                    [0.3, 1], [-0.3, 1], [-0.3, 0.3], [-1, 0.3], [-1, -0.3], [-0.3, -0.3]],
+                cross: [[-0.7, -1], [0, -0.3], [0.7, -1], [1, -0.7], [0.3, 0], [1, 0.7],
+                    [0.7, 1], [0, 0.3], [-0.7, 1], [-1, 0.7], [-0.3, 0], [-1, -0.7]],
+                star: Array.from({ length: 10 }, (_, i) => {
+                    const angle = -Math.PI / 2 + i * Math.PI / 5;
+                    const distance = i % 2 === 0 ? 1 : 0.45;
+                    return [Math.cos(angle) * distance, Math.sin(angle) * distance];
+                })
+            }[shape];
+            tracePolygon(ctx, points.map(([px, py]) => [x + px * r, y + py * r]));
+        }
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Frame rate, draw times and layer redraws from a FrameStats in the top
+    // left corner of the view, in screen space
+    drawStats(stats) {
+        const ctx = this.ctx;
+        const { fps, average, worst, redraws } = stats.summary();
+        const scale = this.layers ? this.layers.ground.scale : 1;
+        const lines = [
+            `${fps} fps`,
+            `${average.toFixed(1)} ms/frame, worst ${worst.toFixed(1)}`,
+            `${this.backend} · layers ×${+scale.toFixed(2)} · ${redraws} redraws/s`
+        ];
+        
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.font = '12px monospace';
+        ctx.textBaseline = 'top';
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(8, 8, width + 12, lines.length * 16 + 8);
+        ctx.fillStyle = fps < 50 ? '#f0b90b' : '#4CAF50';
+        lines.forEach((line, i) => ctx.fillText(line, 14, 12 + i * 16));
+        ctx.restore();
+    }
+
+    // Lines of coloured text in the top right corner of the view, in screen
+    // space: [{ parts: [{ text, color }], alpha }]
+    drawFeed(lines) {
+        const ctx = this.ctx;
+        const lineHeight = 22;
+        
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.font = 'bold 14px Arial, sans-serif';
+        ctx.textBaseline = 'middle';
+        
+        lines.forEach((line, i) => {
+            const widths = line.parts.map(part => ctx.measureText(part.text).width);
+            const width = widths.reduce((sum, w) => sum + w, 0);
+            let x = this.viewWidth - 12 - width;
+            const y = 20 + i * lineHeight;
+            
+            ctx.globalAlpha = line.alpha;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(x - 8, y - lineHeight / 2 + 1, width + 16, lineHeight - 2);
+            line.parts.forEach((part, j) => {
+                ctx.fillStyle = part.color;
+                ctx.fillText(part.text, x, y);
+                x += widths[j];
+            });
+        });
+        ctx.restore();
+    }
+
+    // Zoom that shows the whole world
+    fitCamera(sim) {
+        const { width, height } = sim.config;
+        return {
+            x: width / 2,
+            y: height / 2,
+            zoom: Math.min(this.viewWidth / width, this.viewHeight / height)
+        };
+    }
+
+    // Returns the world rectangle in view
+    applyCamera(sim, camera) {
+        // Keep the view inside the world, or centred on it when the world
+        // is smaller than the view
+        const { width, height } = sim.config;
+        const halfWidth = this.viewWidth / camera.zoom / 2;
+        const halfHeight = this.viewHeight / camera.zoom / 2;
+        const x = halfWidth * 2 >= width ? width / 2 : Math.max(halfWidth, Math.min(width - halfWidth, camera.x));
+        const y = halfHeight * 2 >= height ? height / 2 : Math.max(halfHeight, Math.min(height - halfHeight, camera.y));
+        
+        this.ctx.translate(this.viewWidth / 2, this.viewHeight / 2);
+        this.ctx.scale(camera.zoom, camera.zoom);
+        this.ctx.translate(-x, -y);
+        
+        return { left: x - halfWidth, top: y - halfHeight, right: x + halfWidth, bottom: y + halfHeight };
+    }
+
+    // Black world with a faint grid, so movement shows even on empty ground,
+    // and the arena's walls, obstacles and neutral zones on top
+    drawWorld(sim, view, ctx = this.ctx) {
+        const { width, height } = sim.config;
+        
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        
+        const spacing = this.gridSpacing;
+        const left = Math.max(0, Math.floor(view.left / spacing) * spacing);
+        const right = Math.min(width, view.right);
+        const top = Math.max(0, Math.floor(view.top / spacing) * spacing);
+        const bottom = Math.min(height, view.bottom);
+        
+        ctx.strokeStyle = '#1c1c1c';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = left; x <= right; x += spacing) {
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+        }
+        for (let y = top; y <= bottom; y += spacing) {
+            ctx.moveTo(left, y);
+            ctx.lineTo(right, y);
+        }
+        ctx.stroke();
+        
+        this.drawArena(sim.config.arena, width, height, ctx);
+    }
+
+    // arena: parsed arena data (see arenas.js), or null for a plain rectangle
+    drawArena(arena, width, height, ctx = this.ctx) {
+        const path = (points) => tracePolygon(ctx, points);
+        
+        ctx.save();
+        if (arena && arena.boundary) {
+            // Everything outside the boundary is wall
+            ctx.fillStyle = '#181818';
+            ctx.beginPath();
+            ctx.rect(0, 0, width, height);
+            path(arena.boundary);
+            ctx.fill('evenodd');
+            ctx.strokeStyle = '#555';
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            path(arena.boundary);
+            ctx.stroke();
+        } else {
+            ctx.strokeStyle = '#555';
+            ctx.lineWidth = 4;
+            ctx.strokeRect(0, 0, width, height);
+        }
+        if (!arena) {
+            ctx.restore();
+            return;
+        }
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.04)';
+        ctx.strokeStyle = '#777';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([12, 8]);
+        for (const zone of arena.neutral) {
+            ctx.beginPath();
+            path(zone);
+            ctx.fill();
+            ctx.stroke();
+        }
+        
+        ctx.fillStyle = '#2b2b2b';
+        ctx.strokeStyle = '#666';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([]);
+        for (const obstacle of arena.obstacles) {
+            ctx.beginPath();
+            path(obstacle);
+            ctx.fill();
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
+
+// Overview of the whole world for the side panel: everyone's territory,
+// the local player's position and the part of the world in view
+class MinimapRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.width = canvas.width;
+        this.height = canvas.height;
+    }
+
+    resize(width, pixelRatio = 1) {
+        this.width = width;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.style.width = `${width}px`;
+        this.pixelRatio = pixelRatio;
+    }
+
+    // view: world rectangle shown on the main canvas, if any
+    render(sim, localPlayerId, view) {
+        const ctx = this.ctx;
+        if (!sim) return;
+        
+        // Keep the world's aspect ratio
+        const { width, height } = sim.config;
+        const scale = this.width / width;
+        const pixelRatio = this.pixelRatio || 1;
+        this.height = height * scale;
+        if (this.canvas.height !== Math.round(this.height * pixelRatio)) {
+            this.canvas.height = Math.round(this.height * pixelRatio);
+            this.canvas.style.height = `${this.height}px`;
+        }
+        
+        ctx.setTransform(pixelRatio * scale, 0, 0, pixelRatio * scale, 0, 0);
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        
+        const { arena } = sim.config;
+        if (arena) {
+            const path = (points) => tracePolygon(ctx, points);
+            ctx.fillStyle = '#333';
+            ctx.beginPath();
+            if (arena.boundary) {
+                ctx.rect(0, 0, width, height);
+                path(arena.boundary);
+            }
+            for (const obstacle of arena.obstacles) path(obstacle);
+            ctx.fill('evenodd');
+            ctx.fillStyle = '#1a1a1a';
+            ctx.beginPath();
+            for (const zone of arena.neutral) path(zone);
+            ctx.fill();
+        }
+        
+        for (const player of sim.state.players) {
+            if (player.owner !== player.id) continue;
+            ctx.fillStyle = player.color + (player.alive ? 'b0' : '50');
+            ctx.beginPath();
+            for (const ring of player.territory) {
+                if (ring.length < 3) continue;
+                ctx.moveTo(ring[0].x, ring[0].y);
+                for (let i = 1; i < ring.length; i++) ctx.lineTo(ring[i].x, ring[i].y);
+                ctx.closePath();
+            }
+            ctx.fill('nonzero');
+        }
+        
+        if (view) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.lineWidth = 1 / scale;
+            ctx.strokeRect(view.left, view.top, view.right - view.left, view.bottom - view.top);
+        }
+        
+        for (const pickup of sim.state.pickups) {
+            ctx.fillStyle = PICKUP_TYPES[pickup.type].color;
+            ctx.fillRect(pickup.x - 2 / scale, pickup.y - 2 / scale, 4 / scale, 4 / scale);
+        }
+        
+        const player = sim.getPlayer(localPlayerId);
+        if (player && player.alive) {
+            ctx.fillStyle = '#fff';
+            ctx.beginPath();
+            ctx.arc(player.x, player.y, 4 / scale, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
@@ -0,0 +1,188 @@
+// Plays a replay file back through the same renderer the game uses.
+// Space plays/pauses, ← and → step one tick.
+class ReplayViewer {
+    constructor() {
+        this.canvas = document.getElementById('gameCanvas');
+        // ?renderer=webgl as in the game
+        this.renderer = new ArenaRenderer(this.canvas, { backend: new URLSearchParams(window.location.search).get('renderer') });
+        this.renderer.resize(this.canvas.width, this.canvas.height, window.devicePixelRatio || 1);
+        // Shown with the palette and markers picked in the game's settings
+        this.settings = loadSettings();
+        this.renderer.configure(this.settings);
+        this.player = null;
+        this.playing = false;
+        this.speed = 1;
+        this.followId = null;
+        this.followZoom = 1;
+        this.accumulator = 0;
+        this.lastFrameTime = Date.now();
+        
+        this.setupEventListeners();
+        
+        // The game's "Watch Replay" button hands the replay over in sessionStorage
+        const stored = sessionStorage.getItem('paperio:replay');
+        if (stored) {
+            sessionStorage.removeItem('paperio:replay');
+            this.load(stored);
+        }
+        
+        this.loop();
+    }
+
+    setupEventListeners() {
+        document.getElementById('replayFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => this.load(reader.result);
+            reader.readAsText(file);
+        });
+        
+        document.getElementById('playButton').addEventListener('click', () => this.togglePlay());
+        document.getElementById('stepBackButton').addEventListener('click', () => this.step(-1));
+        document.getElementById('stepForwardButton').addEventListener('click', () => this.step(1));
+        
+        document.getElementById('scrubber').addEventListener('input', (e) => {
+            this.seek(Number(e.target.value));
+        });
+        
+        document.getElementById('speedSelect').addEventListener('change', (e) => {
+            this.speed = Number(e.target.value);
+        });
+        
+        document.getElementById('followSelect').addEventListener('change', (e) => {
+            this.followId = e.target.value ? Number(e.target.value) : null;
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (!this.player || e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT') return;
+            
+            if (e.key === ' ') {
+                this.togglePlay();
+            } else if (e.key === 'ArrowLeft') {
+                this.step(-1);
+            } else if (e.key === 'ArrowRight') {
+                this.step(1);
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+    }
+
+    load(text) {
+        const error = document.getElementById('loadError');
+        
+        try {
+            this.player = new ReplayPlayer(JSON.parse(text));
+        } catch (e) {
+            error.textContent = e instanceof SyntaxError ? 'That file is not valid JSON' : e.message;
+            return;
+        }
+        
+        error.textContent = '';
+        this.playing = false;
+        this.followId = null;
+        
+        const scrubber = document.getElementById('scrubber');
+        scrubber.max = this.player.length;
+        scrubber.value = 0;
+        
+        const followSelect = document.getElementById('followSelect');
+        followSelect.innerHTML = '<option value="">Whole arena</option>';
+        for (const player of this.player.sim.state.players) {
+            const option = document.createElement('option');
+            option.value = player.id;
+            option.textContent = player.name;
+            followSelect.appendChild(option);
+        }
+        
+        this.updatePanel();
+    }
+
+    togglePlay() {
+        if (!this.player) return;
+        
+        // Playing from the end starts over
+        if (!this.playing && this.player.isFinished()) this.seek(0);
+        this.playing = !this.playing;
+        this.updatePanel();
+    }
+
+    step(ticks) {
+        if (!this.player) return;
+        
+        this.playing = false;
+        this.seek(this.player.tick + ticks);
+    }
+
+    seek(tick) {
+        this.player.seek(tick);
+        this.accumulator = 0;
+        this.updatePanel();
+    }
+
+    loop() {
+        const currentTime = Date.now();
+        const elapsed = Math.min(currentTime - this.lastFrameTime, 250);
+        this.lastFrameTime = currentTime;
+        
+        if (this.player && this.playing) {
+            const tickLength = 1000 / this.player.sim.config.tickRate;
+            this.accumulator += elapsed * this.speed;
+            while (this.accumulator >= tickLength && !this.player.isFinished()) {
+                this.player.stepForward();
+                this.accumulator -= tickLength;
+            }
+            if (this.player.isFinished()) this.playing = false;
+            this.updatePanel();
+        }
+        
+        this.render();
+        requestAnimationFrame(() => this.loop());
+    }
+
+    render() {
+        const sim = this.player ? this.player.sim : null;
+        const followed = sim && this.followId !== null ? sim.getPlayer(this.followId) : null;
+        
+        this.renderer.render(sim, {
+            camera: followed ? { x: followed.x, y: followed.y, zoom: this.followZoom } : null,
+            highlightId: this.followId
+        });
+    }
+
+    updatePanel() {
+        const sim = this.player.sim;
+        const seconds = Math.floor(sim.state.time / 1000);
+        // Seeking brings back the players as recorded
+        applyPalette(sim.state.players, this.settings.palette);
+        
+        document.getElementById('replayTime').textContent =
+            `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')} · tick ${sim.state.tick}`;
+        document.getElementById('scrubber').value = sim.state.tick;
+        document.getElementById('playButton').textContent = this.playing ? '⏸' : '▶';
+        
+        const scoresDiv = document.getElementById('scores');
+        scoresDiv.innerHTML = '';
+        for (const player of sim.state.players) {
+            const row = document.createElement('div');
+            row.className = 'player-score';
+            row.style.borderLeft = `4px solid ${player.color}`;
+            row.style.backgroundColor = `${player.color}15`;
+            
+            const name = document.createElement('span');
+            name.textContent = player.name;
+            const stats = document.createElement('span');
+            stats.className = player.alive ? 'alive' : 'eliminated';
+            stats.textContent = `${(sim.getTerritoryShare(player) * 100).toFixed(1)}%`;
+            
+            row.appendChild(name);
+            row.appendChild(stats);
+            scoresDiv.appendChild(row);
+        }
+    }
+}
+
+const viewer = new ReplayViewer();
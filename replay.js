@@ -0,0 +1,118 @@
+// Match replays. Since the simulation is deterministic, a replay only needs
+// the match config, the seed and the direction changes every player made
+// (humans and bots alike), stored as [tick, playerId, x, y] rows.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+})(this, function ({ PaperIOSimulation }) {
+    const REPLAY_FORMAT = 'paperio-replay';
+    const REPLAY_VERSION = 1;
+
+    class ReplayRecorder {
+        constructor(simulation) {
+            this.config = JSON.parse(JSON.stringify(simulation.config));
+            this.seed = simulation.seed;
+            this.inputs = [];
+        }
+
+        // Call before simulation.step() with the inputs about to be applied.
+        // Inputs that match the current direction change nothing and are skipped.
+        record(simulation, inputs) {
+            const tick = simulation.state.tick;
+            for (const id of Object.keys(inputs)) {
+                const direction = inputs[id];
+                const player = simulation.getPlayer(Number(id));
+                if (!player || !direction) continue;
+                if (player.direction.x === direction.x && player.direction.y === direction.y) continue;
+                this.inputs.push([tick, Number(id), direction.x, direction.y]);
+            }
+        }
+
+        toJSON(simulation) {
+            return {
+                format: REPLAY_FORMAT,
+                version: REPLAY_VERSION,
+                createdAt: new Date().toISOString(),
+                seed: this.seed,
+                ticks: simulation.state.tick,
+                config: this.config,
+                inputs: this.inputs
+            };
+        }
+    }
+
+    // Validates a parsed replay file, throwing an Error that explains what's wrong
+    function parseReplay(data) {
+        if (!data || data.format !== REPLAY_FORMAT) {
+            throw new Error('Not a Paper.io Arena replay file');
+        }
+        if (data.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${data.version} (expected ${REPLAY_VERSION})`);
+        }
+        if (!data.config || !Array.isArray(data.inputs) || !Number.isInteger(data.ticks)) {
+            throw new Error('Replay file is incomplete');
+        }
+        return data;
+    }
+
+    // Re-runs a replay through the simulation. Checkpoints are kept as playback
+    // goes, so seeking backwards only re-simulates from the nearest one.
+    class ReplayPlayer {
+        constructor(replay, checkpointInterval = 300) {
+            this.replay = parseReplay(replay);
+            this.sim = new PaperIOSimulation(replay.config, replay.seed);
+            this.checkpointInterval = checkpointInterval;
+            this.checkpoints = new Map([[0, this.sim.saveState()]]);
+
+            this.inputsByTick = new Map();
+            for (const [tick, id, x, y] of replay.inputs) {
+                if (!this.inputsByTick.has(tick)) this.inputsByTick.set(tick, {});
+                this.inputsByTick.get(tick)[id] = { x, y };
+            }
+        }
+
+        get tick() {
+            return this.sim.state.tick;
+        }
+
+        get length() {
+            return this.replay.ticks;
+        }
+
+        isFinished() {
+            return this.tick >= this.length || !this.sim.state.running;
+        }
+
+        // Advances one tick and returns that tick's events
+        stepForward() {
+            if (this.isFinished()) return [];
+
+            const { events } = this.sim.step(this.inputsByTick.get(this.tick) || {});
+            if (this.tick % this.checkpointInterval === 0 && !this.checkpoints.has(this.tick)) {
+                this.checkpoints.set(this.tick, this.sim.saveState());
+            }
+            return events;
+        }
+
+        seek(tick) {
+            const target = Math.max(0, Math.min(this.length, Math.floor(tick)));
+
+            if (target < this.tick || target - this.tick > this.checkpointInterval) {
+                let best = 0;
+                for (const checkpoint of this.checkpoints.keys()) {
+                    if (checkpoint <= target && checkpoint > best) best = checkpoint;
+                }
+                if (best > this.tick || target < this.tick) {
+                    this.sim.loadState(this.checkpoints.get(best));
+                }
+            }
+
+            while (this.tick < target && !this.isFinished()) this.stepForward();
+        }
+    }
+
+    return { ReplayRecorder, ReplayPlayer, parseReplay, REPLAY_FORMAT, REPLAY_VERSION };
+});
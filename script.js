@@ -1,17 +1,434 @@
-document.addEventListener('DOMContentLoaded', () => {
-    const betButtons = document.querySelectorAll('.bet-amounts .btn');
-
-    betButtons.forEach(button => {
-        button.addEventListener('click', () => {
-            // Reset all buttons to the dark style
-            betButtons.forEach(btn => {
-                btn.classList.remove('btn-primary');
-                btn.classList.add('btn-primary-dark');
-            });
-
-            // Set the clicked button to the primary (active) style
-            button.classList.remove('btn-primary-dark');
-            button.classList.add('btn-primary');
-        });
-    });
-});
+document.addEventListener('DOMContentLoaded', () => {
+    const betButtons = document.querySelectorAll('.bet-amounts .btn');
+    const regions = ['EU', 'NA', 'ASIA'];
+
+    const lobbyState = {
+        region: regions[0],
+        tier: 1,
+        room: null, // the lobby room we're waiting in
+        queued: false,
+        rooms: []
+    };
+
+    betButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            // Reset all buttons to the dark style
+            betButtons.forEach(btn => {
+                btn.classList.remove('btn-primary');
+                btn.classList.add('btn-primary-dark');
+            });
+
+            // Set the clicked button to the primary (active) style
+            button.classList.remove('btn-primary-dark');
+            button.classList.add('btn-primary');
+            lobbyState.tier = Number(button.dataset.tier);
+        });
+    });
+
+    const nameInput = document.getElementById('playerNameInput');
+    const joinStatus = document.getElementById('joinStatus');
+    const regionButton = document.getElementById('regionButton');
+    const lobbyModal = document.getElementById('lobbyModal');
+    const lobbyStatus = document.getElementById('lobbyStatus');
+    const lobbyRooms = document.getElementById('lobbyRooms');
+    const leaveRoomButton = document.getElementById('leaveRoomButton');
+    const leaderboardModal = document.getElementById('leaderboardModal');
+
+    const profile = new ProfileClient();
+    const playerName = () => nameInput.value.trim() || profile.name || '';
+
+    const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+    const showProfile = () => {
+        document.getElementById('welcomeName').textContent = profile.name ? `${profile.name}!` : 'bruh!';
+        document.getElementById('loginButton').textContent = profile.name ? 'Rename' : 'Login';
+        if (profile.name && !nameInput.value) nameInput.value = profile.name;
+    };
+
+    const login = async () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            setStatus('Type a name first');
+            return;
+        }
+        try {
+            await profile.login(name);
+            showProfile();
+            setStatus(`Playing as ${profile.name}`);
+            loadLeaderboard();
+            if (profile.profile.token) lobby.hello(profile.profile.token);
+        } catch (error) {
+            setStatus(error.message);
+        }
+    };
+
+    // A patch of land with a trail leaving it, drawn with the game's renderer
+    const previewRenderer = new ArenaRenderer(document.getElementById('appearancePreview'));
+    const renderPreview = () => {
+        const ctx = previewRenderer.ctx;
+        const player = {
+            color: '#3498db',
+            appearance: profile.appearance,
+            territory: [[{ x: 15, y: 20 }, { x: 85, y: 20 }, { x: 85, y: 90 }, { x: 15, y: 90 }]],
+            trail: [{ x: 85, y: 55 }, { x: 130, y: 55 }, { x: 130, y: 35 }],
+            x: 165,
+            y: 35,
+            direction: { x: 1, y: 0 }
+        };
+
+        previewRenderer.resize(200, 110, window.devicePixelRatio || 1);
+        ctx.setTransform(previewRenderer.pixelRatio, 0, 0, previewRenderer.pixelRatio, 0, 0);
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, 200, 110);
+        previewRenderer.drawTerritory(player);
+        previewRenderer.drawTrail(player);
+        previewRenderer.drawHead(player, 10);
+    };
+
+    const appearanceSelects = {
+        skin: [document.getElementById('skinSelect'), SKINS],
+        trail: [document.getElementById('trailSelect'), TRAIL_STYLES],
+        fill: [document.getElementById('fillSelect'), TERRITORY_FILLS]
+    };
+    for (const [key, [select, choices]] of Object.entries(appearanceSelects)) {
+        for (const [value, { label }] of Object.entries(choices)) select.add(new Option(label, value));
+        select.value = profile.appearance[key];
+        select.addEventListener('change', async () => {
+            const saved = profile.saveAppearance({ ...profile.appearance, [key]: select.value });
+            renderPreview();
+            try {
+                await saved;
+            } catch (error) {
+                setStatus(`Look not saved: ${error.message}`);
+            }
+        });
+    }
+
+    const leaderboardState = { period: 'all', page: 1, pages: 1 };
+    const percent = (share) => `${(share * 100).toFixed(1)}%`;
+
+    // The top three in the panel and a page of the chosen period in the modal
+    const loadLeaderboard = async () => {
+        if (!profile.online) return;
+        try {
+            const top = await profile.leaderboard('all', 1, 3);
+            document.getElementById('leaderboardTop').innerHTML = top.entries.length === 0
+                ? '<li class="leaderboard-empty">No results yet</li>'
+                : top.entries.map(entry =>
+                    `<li><span>${entry.rank}. ${escapeHtml(entry.name)}</span> <span>${entry.wins} wins</span></li>`).join('');
+
+            if (leaderboardModal.hidden) return;
+            const { period, page } = leaderboardState;
+            const board = await profile.leaderboard(period, page);
+            leaderboardState.page = board.page;
+            leaderboardState.pages = board.pages;
+            document.getElementById('leaderboardRows').innerHTML = board.entries.length === 0
+                ? '<tr><td colspan="6" class="lobby-empty">No results in this period</td></tr>'
+                : board.entries.map(entry => `
+                    <tr class="${entry.id === (profile.profile && profile.profile.id) ? 'lobby-current' : ''}">
+                        <td>${entry.rank}</td>
+                        <td>${escapeHtml(entry.name)}</td>
+                        <td>${entry.wins}</td>
+                        <td>${entry.matches}</td>
+                        <td>${percent(entry.bestShare)}</td>
+                        <td>${entry.kills}</td>
+                    </tr>
+                `).join('');
+            document.getElementById('leaderboardPage').textContent = `Page ${board.page} of ${board.pages}`;
+            document.getElementById('leaderboardPrev').disabled = board.page <= 1;
+            document.getElementById('leaderboardNext').disabled = board.page >= board.pages;
+        } catch (error) {
+            // Opened without the server; keep what is shown
+        }
+    };
+
+    const renderRooms = () => {
+        const stateLabels = { waiting: 'Waiting', playing: 'In game', finished: 'Finished' };
+        const modeLabels = { ffa: 'Classic', teams: 'Teams', lms: 'Last man standing', timed: 'Timed' };
+        const arenaLabels = { classic: 'Classic', islands: 'Islands', octagon: 'Octagon', crossroads: 'Crossroads' };
+
+        lobbyRooms.innerHTML = lobbyState.rooms.length === 0
+            ? '<tr><td colspan="9" class="lobby-empty">No open rooms yet, create one!</td></tr>'
+            : lobbyState.rooms.map(room => {
+                const mine = lobbyState.room && lobbyState.room.id === room.id;
+                const startsIn = room.state === 'waiting' ? ` (${Math.ceil(room.startsIn / 1000)}s)` : '';
+                let action = mine ? '<span class="lobby-you">You</span>' : '';
+                if (room.state === 'waiting' && !mine && room.players < room.maxPlayers) {
+                    action = `<button class="btn btn-outline-small" data-join="${escapeHtml(room.id)}">Join</button>`;
+                } else if (room.state === 'playing') {
+                    action = `<button class="btn btn-outline-small" data-watch="${escapeHtml(room.id)}">Watch</button>`;
+                }
+                return `
+                    <tr class="${mine ? 'lobby-current' : ''}">
+                        <td>${escapeHtml(room.id)}</td>
+                        <td>${escapeHtml(room.region)}</td>
+                        <td>$${escapeHtml(room.tier)}</td>
+                        <td>${room.players}/${room.maxPlayers}</td>
+                        <td>${modeLabels[room.mode] || escapeHtml(room.mode)}</td>
+                        <td>${arenaLabels[room.arena] || escapeHtml(room.arena)}</td>
+                        <td>${escapeHtml(room.bots)}</td>
+                        <td>${stateLabels[room.state] || escapeHtml(room.state)}${startsIn}</td>
+                        <td>${action}</td>
+                    </tr>
+                `;
+            }).join('');
+
+        leaveRoomButton.hidden = !lobbyState.room && !lobbyState.queued;
+    };
+
+    const setStatus = (text) => {
+        joinStatus.textContent = text;
+        lobbyStatus.textContent = text || `${lobbyState.rooms.length} room(s) in ${lobbyState.region}`;
+    };
+
+    const friendsState = {
+        friends: [], // { id, name, status }
+        incoming: [], // { id, name }
+        outgoing: [],
+        party: null, // { id, leaderId, members: [{ id, name }] }
+        invites: [] // { partyId, from }
+    };
+
+    const renderFriends = () => {
+        const { friends, incoming, outgoing, party, invites } = friendsState;
+        const statusLabels = { online: 'Online', inMatch: 'In match', offline: 'Offline' };
+        const myId = profile.profile && profile.profile.id;
+        const inParty = (id) => party && party.members.some(member => member.id === id);
+        const rows = [];
+
+        if (party) {
+            const names = party.members.map(member =>
+                escapeHtml(member.name) + (member.id === party.leaderId ? ' ★' : '')).join(', ');
+            rows.push(`<li class="party-row"><span>🎉 Party: ${names}</span>` +
+                '<button class="btn btn-outline-small" data-leave-party="1">Leave</button></li>');
+        }
+        for (const invite of invites) {
+            rows.push(`<li><span>${escapeHtml(invite.from)} invited you to a party</span>` +
+                `<button class="btn btn-outline-small" data-join-party="${escapeHtml(invite.partyId)}">Join</button></li>`);
+        }
+        for (const request of incoming) {
+            rows.push(`<li><span>${escapeHtml(request.name)} wants to be friends</span><span>` +
+                `<button class="btn btn-outline-small" data-accept="${escapeHtml(request.id)}">Accept</button>` +
+                `<button class="btn btn-outline-small" data-remove="${escapeHtml(request.id)}">✕</button></span></li>`);
+        }
+        for (const friend of friends) {
+            const invite = friend.status === 'online' && !inParty(friend.id) && (!party || party.leaderId === myId)
+                ? `<button class="btn btn-outline-small" data-invite="${escapeHtml(friend.id)}">Invite</button>` : '';
+            rows.push(`<li><span><span class="friend-status ${friend.status}">●</span> ${escapeHtml(friend.name)} ` +
+                `<span class="friend-status-label">${statusLabels[friend.status]}</span></span><span>${invite}` +
+                `<button class="btn btn-outline-small" data-remove="${escapeHtml(friend.id)}">✕</button></span></li>`);
+        }
+        for (const request of outgoing) {
+            rows.push(`<li><span>${escapeHtml(request.name)} <span class="friend-status-label">Request sent</span></span>` +
+                `<button class="btn btn-outline-small" data-remove="${escapeHtml(request.id)}">✕</button></li>`);
+        }
+
+        document.getElementById('friendsBody').innerHTML = rows.length === 0
+            ? `<div class="no-friends-icon">👤</div><p>${profile.name ? 'No friends... add some!' : 'Login to add friends'}</p>`
+            : `<ul class="friends-list">${rows.join('')}</ul>`;
+        document.getElementById('friendsPlaying').textContent =
+            `${friends.filter(friend => friend.status === 'inMatch').length} playing`;
+    };
+
+    const lobby = new LobbyClient({
+        onOpen: () => {
+            if (profile.profile && profile.profile.token) lobby.hello(profile.profile.token);
+        },
+        onFriends: ({ friends, incoming, outgoing }) => {
+            Object.assign(friendsState, { friends, incoming, outgoing });
+            renderFriends();
+        },
+        onParty: (party) => {
+            friendsState.party = party;
+            if (party) friendsState.invites = friendsState.invites.filter(invite => invite.partyId !== party.id);
+            renderFriends();
+        },
+        onPartyInvite: ({ partyId, from }) => {
+            friendsState.invites = [...friendsState.invites.filter(invite => invite.partyId !== partyId), { partyId, from }];
+            renderFriends();
+        },
+        onRooms: (rooms, status) => {
+            lobbyState.rooms = rooms;
+            if (lobbyState.room) {
+                lobbyState.room = rooms.find(room => room.id === lobbyState.room.id) || lobbyState.room;
+                setStatus(`Waiting in room ${lobbyState.room.id} (${lobbyState.room.players}/${lobbyState.room.maxPlayers}), ` +
+                    `starting in ${Math.ceil(lobbyState.room.startsIn / 1000)}s`);
+            } else if (!lobbyState.queued) {
+                setStatus('');
+            }
+            document.getElementById('playersInGame').textContent = status.playersInGame;
+            renderRooms();
+        },
+        onJoined: (room) => {
+            lobbyState.room = room;
+            lobbyState.queued = false;
+            setStatus(`Waiting in room ${room.id} (${room.players}/${room.maxPlayers})`);
+            renderRooms();
+        },
+        onQueued: ({ region, tier }) => {
+            lobbyState.queued = true;
+            setStatus(`Looking for players in ${region} at $${tier}...`);
+            renderRooms();
+        },
+        onLeft: () => {
+            lobbyState.room = null;
+            lobbyState.queued = false;
+            setStatus('');
+            renderRooms();
+        },
+        onStart: (roomId, ticket) => {
+            // Hand our seat over to the game page
+            const params = new URLSearchParams({ room: roomId, ticket });
+            window.location.href = `game.html?${params}`;
+        },
+        onError: (message) => setStatus(message),
+        onClose: () => {
+            lobbyState.room = null;
+            lobbyState.queued = false;
+            lobbyStatus.textContent = 'Lobby offline - JOIN GAME starts a local match against bots';
+            renderRooms();
+        }
+    });
+    lobby.connect();
+
+    document.getElementById('joinGameButton').addEventListener('click', () => {
+        if (!lobby.connected) {
+            window.location.href = 'game.html';
+            return;
+        }
+        lobby.quickJoin({ region: lobbyState.region, tier: lobbyState.tier, name: playerName() });
+    });
+
+    // Before their first match, point new players at the tutorial
+    if (!localStorage.getItem('paperio:tutorialDone')) {
+        joinStatus.textContent = 'New here? Try the 🎓 Tutorial first';
+    }
+
+    document.getElementById('tutorialButton').addEventListener('click', () => {
+        window.location.href = 'game.html?tutorial';
+    });
+
+    document.getElementById('practiceButton').addEventListener('click', () => {
+        window.location.href = 'game.html?practice=exposed';
+    });
+
+    regionButton.addEventListener('click', () => {
+        lobbyState.region = regions[(regions.indexOf(lobbyState.region) + 1) % regions.length];
+        regionButton.textContent = `🌐 ${lobbyState.region}`;
+    });
+
+    document.getElementById('browseLobbiesButton').addEventListener('click', () => {
+        lobbyModal.hidden = false;
+        lobby.list();
+        renderRooms();
+    });
+
+    document.getElementById('lobbyCloseButton').addEventListener('click', () => {
+        lobbyModal.hidden = true;
+    });
+
+    document.getElementById('createRoomButton').addEventListener('click', () => {
+        lobby.create({
+            region: lobbyState.region,
+            tier: lobbyState.tier,
+            maxPlayers: Number(document.getElementById('lobbyMaxPlayers').value),
+            bots: document.getElementById('lobbyBots').value,
+            mode: document.getElementById('lobbyMode').value,
+            arena: document.getElementById('lobbyArena').value,
+            name: playerName()
+        });
+    });
+
+    leaveRoomButton.addEventListener('click', () => lobby.leave());
+
+    document.getElementById('loginButton').addEventListener('click', login);
+    document.getElementById('editNameButton').addEventListener('click', login);
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') login();
+    });
+
+    document.getElementById('changeAppearanceButton').addEventListener('click', (e) => {
+        const picker = document.getElementById('appearancePicker');
+        picker.hidden = !picker.hidden;
+        e.target.textContent = picker.hidden ? 'Change Appearance' : 'Done';
+    });
+
+    document.getElementById('addFriendsButton').addEventListener('click', () => {
+        const friendAdd = document.getElementById('friendAdd');
+        friendAdd.hidden = !friendAdd.hidden;
+        if (!friendAdd.hidden) document.getElementById('friendNameInput').focus();
+    });
+
+    const sendFriendRequest = () => {
+        const friendNameInput = document.getElementById('friendNameInput');
+        const name = friendNameInput.value.trim();
+        if (!name) return;
+        if (!profile.profile || !profile.profile.token) {
+            setStatus('Login to add friends');
+            return;
+        }
+        lobby.addFriend(name);
+        friendNameInput.value = '';
+    };
+    document.getElementById('sendFriendRequestButton').addEventListener('click', sendFriendRequest);
+    document.getElementById('friendNameInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') sendFriendRequest();
+    });
+
+    document.getElementById('refreshFriendsButton').addEventListener('click', () => lobby.refreshFriends());
+
+    document.getElementById('friendsBody').addEventListener('click', (e) => {
+        const { accept, remove, invite, joinParty, leaveParty } = e.target.dataset;
+        if (accept) lobby.acceptFriend(accept);
+        if (remove) lobby.removeFriend(remove);
+        if (invite) lobby.inviteToParty(invite);
+        if (leaveParty) lobby.leaveParty();
+        if (joinParty) {
+            friendsState.invites = friendsState.invites.filter(item => item.partyId !== joinParty);
+            lobby.acceptParty(joinParty);
+            renderFriends();
+        }
+    });
+
+    document.getElementById('fullLeaderboardButton').addEventListener('click', () => {
+        leaderboardModal.hidden = false;
+        loadLeaderboard();
+    });
+
+    document.getElementById('leaderboardCloseButton').addEventListener('click', () => {
+        leaderboardModal.hidden = true;
+    });
+
+    document.getElementById('leaderboardTabs').addEventListener('click', (e) => {
+        const period = e.target.dataset.period;
+        if (!period) return;
+        for (const tab of e.currentTarget.children) tab.classList.toggle('active', tab === e.target);
+        leaderboardState.period = period;
+        leaderboardState.page = 1;
+        loadLeaderboard();
+    });
+
+    document.getElementById('leaderboardPrev').addEventListener('click', () => {
+        leaderboardState.page = Math.max(1, leaderboardState.page - 1);
+        loadLeaderboard();
+    });
+
+    document.getElementById('leaderboardNext').addEventListener('click', () => {
+        leaderboardState.page = Math.min(leaderboardState.pages, leaderboardState.page + 1);
+        loadLeaderboard();
+    });
+
+    lobbyRooms.addEventListener('click', (e) => {
+        const { join, watch } = e.target.dataset;
+        if (join) lobby.join(join, playerName());
+        // Spectators don't take a seat, so any running match can be watched
+        if (watch) window.location.href = `game.html?${new URLSearchParams({ room: watch, spectate: '' })}`;
+    });
+
+    showProfile();
+    renderFriends();
+    renderPreview();
+    loadLeaderboard();
+    setInterval(loadLeaderboard, 30000);
+});
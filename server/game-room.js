@@ -0,0 +1,379 @@
+// Runs matches authoritatively. Connected clients send direction inputs,
+// seats without a connected human are driven by AI controllers, and every
+// client receives snapshots with its own input acknowledgement, trail deltas
+// and the territory grid whenever it changed.
+//
+// An open room (the dev default) seats whoever connects and starts a new
+// match after each one ends. A room created from a lobby roster only admits
+// the ticket holders it was created for and plays a single match, and when
+// that match is played out counts it towards its logged in players' profiles.
+const { performance } = require('perf_hooks');
+const { PaperIOSimulation, DEFAULT_CONFIG, createMatchSettings, createMatchConfig } = require('../simulation');
+const { AIController, pickStrategies } = require('../ai');
+const { ReplayRecorder } = require('../replay');
+const { normalizeAppearance } = require('../appearance');
+
+const MAX_QUEUED_INPUTS = 8;
+
+class GameRoom {
+    constructor(options = {}) {
+        this.id = options.id || 'main';
+        this.tickRate = options.tickRate || DEFAULT_CONFIG.tickRate;
+        this.snapshotInterval = options.snapshotInterval || 3; // ticks between snapshots
+        this.restartDelay = options.restartDelay ?? 5000;
+        this.onFinish = options.onFinish || null;
+        this.onLeave = options.onLeave || null; // a ticket holder left for good
+        this.profiles = options.profiles || null; // ProfileStore for lobby match results
+        this.bots = options.bots || 'normal'; // AI difficulty, 'mixed' or a list (see pickStrategies)
+        this.mode = options.mode || 'ffa'; // see MATCH_MODES
+        this.arena = options.arena || 'classic'; // see ARENAS
+
+        // roster: [{ name, ticket, profileId }] for human seats, { bot: true } for bot seats,
+        // either with an optional ai strategy for whenever a bot plays the seat
+        const roster = options.roster || DEFAULT_CONFIG.players.map(() => ({}));
+        const strategies = pickStrategies(this.bots, roster.length);
+        this.reserved = !!options.roster;
+        this.seats = roster.map((entry, i) => ({
+            id: i + 1,
+            name: entry.name || null,
+            profileId: entry.profileId || null, // lobby players who are logged in
+            appearance: null,
+            ticket: entry.ticket || null,
+            bot: !!entry.bot,
+            ai: entry.ai || strategies[i],
+            left: false, // a ticket holder who disconnected
+            client: null
+        }));
+        this.settings = createMatchSettings({ mode: this.mode, arena: this.arena, players: this.seats.length });
+
+        this.clients = new Set();
+        this.sim = null;
+        this.recorder = null;
+        this.finished = false;
+        this.aiControllers = new Map(); // player id -> controller
+        this.territoryVersion = 0;
+        this.pendingEvents = [];
+        this.loopTimer = null;
+        this.restartTimer = null;
+    }
+
+    get playerCount() {
+        return this.seats.filter(seat => seat.client).length;
+    }
+
+    // Whether a logged in player holds a seat here and hasn't left
+    hasProfile(profileId) {
+        return this.seats.some(seat => seat.profileId === profileId && !seat.left);
+    }
+
+    isRunning() {
+        return !!this.sim && this.sim.state.running;
+    }
+
+    // Spectators never get a seat; lobby matches let them in without a ticket
+    addClient(connection, { name, ticket, appearance, spectate = false } = {}) {
+        let seat = null;
+        if (!spectate) {
+            seat = this.reserved
+                ? this.seats.find(s => s.ticket && s.ticket === ticket && !s.client)
+                : this.seats.find(s => !s.client && (!this.isRunning() ||
+                    (this.aiControllers.has(s.id) && this.sim.getPlayer(s.id).alive)));
+        }
+        if (this.reserved && !seat && !spectate) {
+            connection.close(4004, 'No seat in this room');
+            return null;
+        }
+
+        const client = {
+            connection,
+            playerId: seat ? seat.id : null, // null just watches
+            inputs: [],
+            lastSeq: 0,
+            ackTick: 0,
+            trails: new Map(), // player id -> trail sent so far
+            territoryVersion: -1
+        };
+        this.clients.add(client);
+        if (seat) {
+            seat.client = client;
+            seat.left = false;
+            if (!this.reserved) seat.name = String(name || '').slice(0, 16) || null;
+            seat.appearance = normalizeAppearance(appearance);
+        }
+
+        if (this.isRunning()) {
+            if (seat) this.takeSeat(seat);
+            this.welcome(client);
+        } else if (this.finished || this.restartTimer) {
+            // Wait for the next match (or just see the final state)
+            if (this.sim) this.welcome(client);
+        } else {
+            this.startMatch();
+        }
+
+        connection.on('message', (message) => this.handleMessage(client, message));
+        connection.on('close', () => this.removeClient(client));
+        return client;
+    }
+
+    removeClient(client) {
+        this.clients.delete(client);
+
+        const seat = this.seats.find(s => s.client === client);
+        if (seat) {
+            seat.client = null;
+            seat.left = this.reserved;
+            if (seat.left && this.onLeave) this.onLeave(seat);
+            if (!this.reserved) {
+                seat.name = null;
+                seat.appearance = null;
+            }
+
+            // A bot takes the seat over for the rest of the match
+            if (this.isRunning()) {
+                const player = this.sim.getPlayer(seat.id);
+                player.isHuman = false;
+                this.aiControllers.set(player.id, new AIController(this.sim, player.id, seat.ai));
+            }
+        }
+
+        if (this.clients.size === 0) this.stop();
+    }
+
+    // A human taking over a seat mid-match keeps the seat's speed, so the
+    // match still replays from its starting config
+    takeSeat(seat) {
+        const player = this.sim.getPlayer(seat.id);
+        this.aiControllers.delete(seat.id);
+        player.isHuman = true;
+        if (seat.name) player.name = seat.name;
+        player.appearance = seat.appearance;
+    }
+
+    handleMessage(client, message) {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            return;
+        }
+
+        if (data.type === 'input' && Number.isInteger(data.seq) && data.direction) {
+            if (client.inputs.length < MAX_QUEUED_INPUTS && data.seq > client.lastSeq) {
+                client.inputs.push({
+                    seq: data.seq,
+                    direction: { x: Number(data.direction.x), y: Number(data.direction.y) }
+                });
+            }
+        }
+    }
+
+    // Seats held by someone who is (or is still expected to be) connected
+    isHumanSeat(seat) {
+        return !!seat.client || (this.reserved && !seat.bot && !seat.left);
+    }
+
+    startMatch() {
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+
+        const config = createMatchConfig(this.settings, this.seats.map(seat => ({
+            name: seat.name || (seat.bot ? `Bot ${seat.id}` : `Player ${seat.id}`),
+            appearance: seat.appearance,
+            isHuman: this.isHumanSeat(seat)
+        })));
+        const { players } = config;
+
+        const seed = Math.floor(Math.random() * 0x100000000);
+        this.sim = new PaperIOSimulation({ ...config, tickRate: this.tickRate }, seed);
+        this.recorder = new ReplayRecorder(this.sim);
+
+        // Ticket holders who haven't connected yet just sit safe at home
+        this.aiControllers.clear();
+        this.seats.forEach((seat, i) => {
+            if (!players[i].isHuman) this.aiControllers.set(seat.id, new AIController(this.sim, seat.id, seat.ai));
+        });
+
+        this.territoryVersion++;
+        this.pendingEvents = [];
+        for (const client of this.clients) {
+            client.inputs = [];
+            this.welcome(client);
+        }
+
+        this.startLoop();
+    }
+
+    welcome(client) {
+        const { config, seed, state } = this.sim;
+        client.trails.clear();
+        client.territoryVersion = -1;
+        client.lastSeq = 0;
+        client.ackTick = state.tick;
+
+        client.connection.send({
+            type: 'welcome',
+            room: this.id,
+            singleMatch: this.reserved,
+            playerId: client.playerId,
+            seed,
+            tick: state.tick,
+            config: {
+                ...config,
+                players: state.players.map((p, i) => ({
+                    id: p.id, name: p.name, color: p.color, appearance: p.appearance, team: p.team,
+                    isHuman: p.isHuman, speed: p.speed,
+                    x: config.players[i].x, y: config.players[i].y
+                }))
+            }
+        });
+        client.connection.send(this.snapshotFor(client));
+    }
+
+    startLoop() {
+        if (this.loopTimer) return;
+
+        const tickLength = 1000 / this.tickRate;
+        let nextTick = performance.now();
+        const loop = () => {
+            const now = performance.now();
+            // Don't try to catch up on more than a second of stalls
+            if (now - nextTick > 1000) nextTick = now;
+            while (now >= nextTick && this.loopTimer) {
+                this.tick();
+                nextTick += tickLength;
+            }
+            if (this.loopTimer) {
+                this.loopTimer = setTimeout(loop, Math.max(0, nextTick - performance.now()));
+            }
+        };
+        this.loopTimer = setTimeout(loop, 0);
+    }
+
+    stop() {
+        clearTimeout(this.loopTimer);
+        clearTimeout(this.restartTimer);
+        this.loopTimer = null;
+        this.restartTimer = null;
+
+        // A lobby match that everyone left is over for good
+        if (this.reserved && !this.finished) this.finish();
+        if (!this.reserved) this.sim = null;
+    }
+
+    finish() {
+        this.finished = true;
+        if (this.onFinish) this.onFinish(this);
+    }
+
+    tick() {
+        const sim = this.sim;
+        const inputs = {};
+
+        // One queued input per client per tick, so quick turns aren't lost
+        for (const client of this.clients) {
+            if (client.playerId === null || client.inputs.length === 0) continue;
+            const input = client.inputs.shift();
+            inputs[client.playerId] = input.direction;
+            client.lastSeq = input.seq;
+            client.ackTick = sim.state.tick;
+        }
+
+        for (const controller of this.aiControllers.values()) {
+            const direction = controller.decide();
+            if (direction) inputs[controller.playerId] = direction;
+        }
+
+        this.recorder.record(sim, inputs);
+        const { state, events } = sim.step(inputs);
+        if (events.some(e => e.type === 'capture')) this.territoryVersion++;
+        this.pendingEvents.push(...events);
+
+        if (!state.running || state.tick % this.snapshotInterval === 0) {
+            for (const client of this.clients) {
+                client.connection.send(this.snapshotFor(client));
+            }
+            this.pendingEvents = [];
+        }
+
+        if (!state.running) {
+            const replay = this.recorder.toJSON(sim);
+            for (const client of this.clients) {
+                client.connection.send({ type: 'replay', replay });
+            }
+
+            clearTimeout(this.loopTimer);
+            this.loopTimer = null;
+            if (this.reserved) {
+                this.recordResults();
+                this.finish();
+            } else {
+                this.restartTimer = setTimeout(() => this.startMatch(), this.restartDelay);
+            }
+        }
+    }
+
+    // Seats handed to a bot partway through still count for their player
+    recordResults() {
+        if (!this.profiles) return;
+        const winners = this.sim.getWinners();
+        for (const seat of this.seats) {
+            const profile = seat.profileId && this.profiles.byId(seat.profileId);
+            if (!profile) continue;
+            const player = this.sim.getPlayer(seat.id);
+            this.profiles.addResult(profile, {
+                won: winners.includes(player),
+                share: this.sim.getTerritoryShare(player),
+                kills: player.kills
+            });
+        }
+    }
+
+    snapshotFor(client) {
+        const { state } = this.sim;
+
+        const players = state.players.map(player => {
+            // Only send the trail points this client hasn't seen yet
+            const known = client.trails.get(player.id);
+            const trailFrom = known && player.trail.length >= known.length &&
+                player.trail[0] === known.first ? known.length : 0;
+            client.trails.set(player.id, { length: player.trail.length, first: player.trail[0] });
+
+            return {
+                id: player.id,
+                x: player.x,
+                y: player.y,
+                direction: player.direction,
+                speed: player.speed,
+                alive: player.alive,
+                kills: player.kills,
+                effects: player.effects,
+                name: player.name,
+                appearance: player.appearance,
+                trailFrom,
+                trail: player.trail.slice(trailFrom).map(p => [p.x, p.y])
+            };
+        });
+
+        const snapshot = {
+            type: 'snapshot',
+            tick: state.tick,
+            time: state.time,
+            running: state.running,
+            ack: client.lastSeq,
+            ackTick: client.ackTick,
+            players,
+            pickups: state.pickups,
+            events: this.pendingEvents
+        };
+
+        if (client.territoryVersion !== this.territoryVersion) {
+            client.territoryVersion = this.territoryVersion;
+            snapshot.territory = state.grid.encodeRuns();
+        }
+
+        return snapshot;
+    }
+}
+
+module.exports = { GameRoom };
@@ -0,0 +1,316 @@
+// Lobby and matchmaking. Browsers on the lobby page connect over a WebSocket
+// to list rooms, create, join or leave one, or quick-join. A room waits for
+// players until it is full or its fill timeout runs out, then empty seats go
+// to bots and every member gets a ticket for their seat in the match.
+// Friends, presence and parties ride on the same connection (see social.js).
+const crypto = require('crypto');
+const { GameRoom } = require('./game-room');
+const { Social } = require('./social');
+const { AI_DIFFICULTIES } = require('../ai');
+const { MATCH_MODES } = require('../modes');
+const { ARENAS } = require('../arenas');
+
+const REGIONS = ['EU', 'NA', 'ASIA'];
+const TIERS = [1, 5, 20];
+const BOT_LEVELS = [...AI_DIFFICULTIES, 'mixed'];
+
+class Lobby {
+    constructor(options = {}) {
+        this.minPlayers = options.minPlayers || 2; // quick-joiners needed to open a room
+        this.maxPlayers = options.maxPlayers || 8;
+        this.fillTimeout = options.fillTimeout ?? 15000; // ms before bots take empty seats
+        this.finishedRoomTtl = options.finishedRoomTtl ?? 30000;
+
+        this.rooms = new Map(); // room id -> room
+        this.members = new Set(); // connected lobby pages
+        this.queue = []; // quick-joiners waiting for a room
+        this.profiles = options.profiles || null; // ProfileStore
+        this.social = new Social(this, this.profiles);
+        this.sweepTimer = setInterval(() => this.sweep(), 1000);
+    }
+
+    close() {
+        clearInterval(this.sweepTimer);
+        for (const room of this.rooms.values()) {
+            if (room.game) room.game.stop();
+        }
+    }
+
+    connect(connection) {
+        const member = { connection, name: null, room: null, queued: null, profile: null, party: null };
+        this.members.add(member);
+
+        connection.on('message', (message) => {
+            let data;
+            try {
+                data = JSON.parse(message);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(member, data);
+        });
+        connection.on('close', () => {
+            this.leave(member);
+            this.members.delete(member);
+            this.social.disconnect(member);
+        });
+
+        connection.send({ type: 'rooms', rooms: this.listRooms(), status: this.getStatus() });
+        return member;
+    }
+
+    handleMessage(member, data) {
+        // Friend requests carry the friend's name, so they go first
+        if (this.social.handleMessage(member, data)) return;
+        if (typeof data.name === 'string' && data.name.trim()) {
+            member.name = data.name.trim().slice(0, 16);
+        }
+
+        // A party goes into rooms together, picked by its leader
+        const group = ['create', 'join', 'quickJoin'].includes(data.type) ? this.social.groupFor(member) : [member];
+        if (!group) return;
+
+        switch (data.type) {
+            case 'list':
+                member.connection.send({ type: 'rooms', rooms: this.listRooms(), status: this.getStatus() });
+                break;
+            case 'create': {
+                group.forEach(m => this.leave(m));
+                const maxPlayers = Math.max(group.length, Number(data.maxPlayers) || this.maxPlayers);
+                const room = this.createRoom({ ...data, maxPlayers });
+                group.forEach(m => this.join(m, room));
+                break;
+            }
+            case 'join': {
+                const room = this.rooms.get(data.roomId);
+                if (room && group.every(m => m.room === room)) return;
+                const joining = group.filter(m => m.room !== room);
+                if (!room || room.state !== 'waiting' || room.members.length + joining.length > room.maxPlayers) {
+                    this.sendError(member, group.length > 1 ? 'That room has no seats for your party' : 'That room is no longer open');
+                    return;
+                }
+                joining.forEach(m => this.leave(m));
+                joining.forEach(m => this.join(m, room));
+                break;
+            }
+            case 'leave':
+                this.leave(member);
+                member.connection.send({ type: 'left' });
+                break;
+            case 'quickJoin':
+                group.forEach(m => this.leave(m));
+                if (group.length > 1) {
+                    this.quickJoinParty(group, data);
+                } else {
+                    this.quickJoin(member, data);
+                }
+                break;
+        }
+    }
+
+    sendError(member, message) {
+        member.connection.send({ type: 'error', message });
+    }
+
+    createRoom({ region, tier, maxPlayers, bots, mode, arena } = {}) {
+        const room = {
+            id: crypto.randomBytes(4).toString('hex'),
+            region: REGIONS.includes(region) ? region : REGIONS[0],
+            tier: TIERS.includes(Number(tier)) ? Number(tier) : TIERS[0],
+            maxPlayers: Math.max(2, Math.min(this.maxPlayers, Number(maxPlayers) || this.maxPlayers)),
+            bots: BOT_LEVELS.includes(bots) ? bots : 'normal',
+            mode: Object.hasOwn(MATCH_MODES, mode) && !MATCH_MODES[mode].offline ? mode : 'ffa',
+            arena: Object.hasOwn(ARENAS, arena) ? arena : 'classic',
+            state: 'waiting',
+            members: [],
+            fillAt: Date.now() + this.fillTimeout,
+            game: null,
+            finishedAt: 0
+        };
+        this.rooms.set(room.id, room);
+        return room;
+    }
+
+    join(member, room) {
+        member.room = room;
+        room.members.push(member);
+        member.connection.send({ type: 'joined', room: this.describeRoom(room) });
+
+        if (room.members.length >= room.maxPlayers) {
+            this.startRoom(room);
+        } else {
+            this.broadcastRooms();
+        }
+    }
+
+    leave(member) {
+        if (member.queued) {
+            this.queue = this.queue.filter(m => m !== member);
+            member.queued = null;
+        }
+        if (!member.room) return;
+
+        const room = member.room;
+        member.room = null;
+        if (room.state !== 'waiting') return;
+
+        room.members = room.members.filter(m => m !== member);
+        if (room.members.length === 0) this.rooms.delete(room.id);
+        this.broadcastRooms();
+    }
+
+    // Puts the player into the fullest open room that matches, or queues
+    // them until enough players are waiting to open a new one
+    quickJoin(member, { region, tier }) {
+        const key = this.matchKey({ region, tier });
+        const best = this.findRoom(key, 1);
+        if (best) {
+            this.join(member, best);
+            return;
+        }
+
+        member.queued = { ...key, since: Date.now() };
+        this.queue.push(member);
+        member.connection.send({ type: 'queued', region: key.region, tier: key.tier });
+        this.matchQueue(key);
+    }
+
+    // A party skips the queue: it takes the fullest room with seats for all
+    // of it, or opens a room others can quick-join until it fills
+    quickJoinParty(group, { region, tier }) {
+        const key = this.matchKey({ region, tier });
+        const room = this.findRoom(key, group.length) || this.createRoom(key);
+        group.forEach(m => this.join(m, room));
+    }
+
+    matchKey({ region, tier }) {
+        return {
+            region: REGIONS.includes(region) ? region : REGIONS[0],
+            tier: TIERS.includes(Number(tier)) ? Number(tier) : TIERS[0]
+        };
+    }
+
+    // The fullest open room for the region and tier with enough free seats
+    findRoom(key, seats) {
+        let best = null;
+        for (const room of this.rooms.values()) {
+            if (room.state !== 'waiting' || room.region !== key.region || room.tier !== key.tier) continue;
+            if (room.members.length + seats > room.maxPlayers) continue;
+            if (!best || room.members.length > best.members.length) best = room;
+        }
+        return best;
+    }
+
+    matchQueue(key) {
+        const waiting = this.queue.filter(m => m.queued.region === key.region && m.queued.tier === key.tier);
+        if (waiting.length < this.minPlayers) return;
+
+        const room = this.createRoom(key);
+        for (const member of waiting.slice(0, room.maxPlayers)) {
+            this.queue = this.queue.filter(m => m !== member);
+            member.queued = null;
+            this.join(member, room);
+        }
+    }
+
+    sweep() {
+        const now = Date.now();
+
+        // Quick-joiners who waited alone long enough get a room of bots
+        for (const member of [...this.queue]) {
+            if (member.queued && now - member.queued.since >= this.fillTimeout) {
+                const room = this.createRoom(member.queued);
+                this.queue = this.queue.filter(m => m !== member);
+                member.queued = null;
+                this.join(member, room);
+                this.startRoom(room);
+            }
+        }
+
+        for (const room of [...this.rooms.values()]) {
+            if (room.state === 'waiting' && now >= room.fillAt) {
+                this.startRoom(room);
+            } else if (room.state === 'finished' && now - room.finishedAt >= this.finishedRoomTtl) {
+                this.rooms.delete(room.id);
+            }
+        }
+
+        // Keeps player counts and countdowns live on the lobby pages
+        if (this.rooms.size > 0) this.broadcastRooms();
+    }
+
+    startRoom(room) {
+        const roster = room.members.map(member => ({
+            name: member.name || (member.profile && member.profile.name),
+            profileId: member.profile ? member.profile.id : null,
+            ticket: crypto.randomBytes(12).toString('hex')
+        }));
+        while (roster.length < room.maxPlayers) roster.push({ bot: true });
+
+        room.state = 'playing';
+        room.game = new GameRoom({
+            id: room.id,
+            roster,
+            bots: room.bots,
+            mode: room.mode,
+            arena: room.arena,
+            profiles: this.profiles,
+            onFinish: () => {
+                room.state = 'finished';
+                room.finishedAt = Date.now();
+                this.broadcastRooms();
+                this.social.update();
+            },
+            onLeave: () => this.social.update()
+        });
+        room.game.startMatch();
+
+        room.members.forEach((member, i) => {
+            member.room = null;
+            member.connection.send({ type: 'start', roomId: room.id, ticket: roster[i].ticket });
+        });
+        room.members = [];
+        this.broadcastRooms();
+        this.social.update();
+    }
+
+    // The match a game page should connect to, or null
+    getGameRoom(roomId) {
+        const room = this.rooms.get(roomId);
+        return room && room.game ? room.game : null;
+    }
+
+    describeRoom(room) {
+        return {
+            id: room.id,
+            region: room.region,
+            tier: room.tier,
+            players: room.game ? room.game.playerCount : room.members.length,
+            maxPlayers: room.maxPlayers,
+            bots: room.bots,
+            mode: room.mode,
+            arena: room.arena,
+            state: room.state,
+            startsIn: room.state === 'waiting' ? Math.max(0, room.fillAt - Date.now()) : 0
+        };
+    }
+
+    listRooms() {
+        return [...this.rooms.values()].map(room => this.describeRoom(room));
+    }
+
+    getStatus() {
+        let playersInGame = 0;
+        for (const room of this.rooms.values()) {
+            if (room.state === 'playing') playersInGame += room.game.playerCount;
+        }
+        return { playersInGame, waiting: this.queue.length };
+    }
+
+    broadcastRooms() {
+        const message = { type: 'rooms', rooms: this.listRooms(), status: this.getStatus() };
+        for (const member of this.members) member.connection.send(message);
+    }
+}
+
+module.exports = { Lobby, REGIONS, TIERS, BOT_LEVELS };
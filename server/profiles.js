@@ -0,0 +1,316 @@
+// Player profiles and match stats behind a small JSON API, stored in a single
+// JSON file. A profile is created with just a display name and handed a
+// token; the browser keeps the token and sends it as a bearer token to rename
+// the profile. Results aren't taken from browsers: the server records them
+// itself for the lobby matches it runs (see game-room.js).
+//
+//   POST /api/profiles           { name, appearance? }           -> profile + token
+//   GET  /api/profiles/me                                         -> profile
+//   PUT  /api/profiles/me        { name?, appearance? }          -> profile
+//   GET  /api/leaderboard?period=all|weekly|daily&page=1&pageSize=10
+//
+// All-time standings come from each profile's totals. Weekly and daily ones
+// add up the results of the last 7 days or 24 hours, so results are kept for
+// a week.
+//
+// Profiles also hold their friends and incoming friend requests, by profile
+// id; the lobby connection sends and answers them (see social.js).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeAppearance } = require('../appearance');
+
+const PERIODS = {
+    all: Infinity,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+const MAX_NAME_LENGTH = 16;
+const MAX_BODY = 4096;
+const SAVE_DELAY = 500; // ms, so a burst of results is one write
+
+class ProfileStore {
+    constructor(file, now = () => Date.now()) {
+        this.file = file;
+        this.now = now;
+        this.profiles = new Map(); // id -> profile
+        this.tokens = new Map(); // token -> id
+        this.results = []; // { profileId, at, won, share, kills }, oldest first
+        this.saveTimer = null;
+        this.load();
+    }
+
+    // A file that can't be read stops the server, and one that can't be
+    // parsed is moved aside, so starting empty never overwrites the profiles
+    load() {
+        let text;
+        try {
+            text = fs.readFileSync(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw new Error(`Could not read ${this.file}: ${error.message}`);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            const aside = `${this.file}.corrupt-${this.now()}`;
+            fs.renameSync(this.file, aside);
+            console.error(`Could not parse ${this.file} (${error.message}), moved it to ${aside}`);
+            return;
+        }
+        for (const profile of data.profiles || []) {
+            profile.friends = profile.friends || [];
+            profile.incoming = profile.incoming || [];
+            this.profiles.set(profile.id, profile);
+            this.tokens.set(profile.token, profile.id);
+        }
+        this.results = data.results || [];
+    }
+
+    // Writes go to a temporary file first so a crash never leaves half a file
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const data = JSON.stringify({ profiles: [...this.profiles.values()], results: this.results });
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(`${this.file}.tmp`, data);
+        fs.renameSync(`${this.file}.tmp`, this.file);
+    }
+
+    scheduleSave() {
+        if (!this.saveTimer) this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+
+    close() {
+        if (this.saveTimer) this.save();
+    }
+
+    create(name, appearance) {
+        const profile = {
+            id: crypto.randomBytes(6).toString('hex'),
+            token: crypto.randomBytes(18).toString('hex'),
+            name,
+            appearance: normalizeAppearance(appearance),
+            createdAt: this.now(),
+            matches: 0,
+            wins: 0,
+            bestShare: 0,
+            kills: 0,
+            friends: [], // profile ids
+            incoming: [] // profile ids that asked to be friends
+        };
+        this.profiles.set(profile.id, profile);
+        this.tokens.set(profile.token, profile.id);
+        this.scheduleSave();
+        return profile;
+    }
+
+    byToken(token) {
+        const id = this.tokens.get(token);
+        return id ? this.profiles.get(id) : null;
+    }
+
+    byId(id) {
+        return this.profiles.get(id) || null;
+    }
+
+    // Names aren't unique, so a request by name needs exactly one match
+    byName(name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        const matches = [...this.profiles.values()].filter(profile => profile.name.toLowerCase() === wanted);
+        if (matches.length === 0) throw new Error(`Nobody is called ${name}`);
+        if (matches.length > 1) throw new Error(`More than one player is called ${name}`);
+        return matches[0];
+    }
+
+    // Asking someone who already asked you makes you friends straight away
+    requestFriend(profile, other) {
+        if (other === profile) throw new Error('You can\'t befriend yourself');
+        if (profile.friends.includes(other.id)) throw new Error(`${other.name} is already your friend`);
+        if (profile.incoming.includes(other.id)) {
+            this.acceptFriend(profile, other);
+            return;
+        }
+        if (!other.incoming.includes(profile.id)) other.incoming.push(profile.id);
+        this.scheduleSave();
+    }
+
+    acceptFriend(profile, other) {
+        if (!profile.incoming.includes(other.id)) throw new Error(`${other.name} didn't ask to be friends`);
+        profile.incoming = profile.incoming.filter(id => id !== other.id);
+        other.incoming = other.incoming.filter(id => id !== profile.id);
+        profile.friends.push(other.id);
+        other.friends.push(profile.id);
+        this.scheduleSave();
+    }
+
+    // Unfriends, declines or withdraws a request, whichever applies
+    removeFriend(profile, other) {
+        profile.friends = profile.friends.filter(id => id !== other.id);
+        other.friends = other.friends.filter(id => id !== profile.id);
+        profile.incoming = profile.incoming.filter(id => id !== other.id);
+        other.incoming = other.incoming.filter(id => id !== profile.id);
+        this.scheduleSave();
+    }
+
+    // Requests this profile sent that haven't been answered
+    outgoing(profile) {
+        return [...this.profiles.values()].filter(other => other.incoming.includes(profile.id));
+    }
+
+    update(profile, { name, appearance }) {
+        if (name) profile.name = name;
+        if (appearance) profile.appearance = normalizeAppearance(appearance);
+        this.scheduleSave();
+    }
+
+    addResult(profile, { won, share, kills }) {
+        profile.matches++;
+        if (won) profile.wins++;
+        profile.bestShare = Math.max(profile.bestShare, share);
+        profile.kills += kills;
+
+        const at = this.now();
+        this.results.push({ profileId: profile.id, at, won, share, kills });
+        const keepFrom = at - PERIODS.weekly;
+        while (this.results.length > 0 && this.results[0].at < keepFrom) this.results.shift();
+        this.scheduleSave();
+    }
+
+    // Standings for a period, best first: most wins, then best share, then kills
+    leaderboard(period) {
+        let rows;
+        if (period === 'all') {
+            rows = [...this.profiles.values()]
+                .filter(profile => profile.matches > 0)
+                .map(({ id, name, matches, wins, bestShare, kills }) => ({ id, name, matches, wins, bestShare, kills }));
+        } else {
+            const since = this.now() - PERIODS[period];
+            const totals = new Map();
+            for (const result of this.results) {
+                const profile = this.profiles.get(result.profileId);
+                if (result.at < since || !profile) continue;
+
+                let row = totals.get(profile.id);
+                if (!row) {
+                    row = { id: profile.id, name: profile.name, matches: 0, wins: 0, bestShare: 0, kills: 0 };
+                    totals.set(profile.id, row);
+                }
+                row.matches++;
+                if (result.won) row.wins++;
+                row.bestShare = Math.max(row.bestShare, result.share);
+                row.kills += result.kills;
+            }
+            rows = [...totals.values()];
+        }
+        return rows.sort((a, b) => b.wins - a.wins || b.bestShare - a.bestShare || b.kills - a.kills);
+    }
+}
+
+// The profile as its owner sees it
+function describeProfile(profile, withToken = false) {
+    const { id, token, name, matches, wins, bestShare, kills } = profile;
+    const appearance = normalizeAppearance(profile.appearance);
+    return withToken
+        ? { id, token, name, appearance, matches, wins, bestShare, kills }
+        : { id, name, appearance, matches, wins, bestShare, kills };
+}
+
+function cleanName(value) {
+    const name = String(value || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+    return name || null;
+}
+
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(new Error('Body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body));
+}
+
+// Handles the profile routes; returns false for any other path
+function handleProfileRequest(request, response, store) {
+    const url = new URL(request.url, 'http://localhost');
+    const route = `${request.method} ${url.pathname}`;
+    const authorization = request.headers.authorization || '';
+    const profile = authorization.startsWith('Bearer ') ? store.byToken(authorization.slice(7)) : null;
+
+    const withBody = (handle) => readJson(request)
+        .then(handle)
+        .catch(error => sendJson(response, 400, { error: error.message }));
+
+    switch (route) {
+        case 'POST /api/profiles':
+            withBody((body) => {
+                const name = cleanName(body.name);
+                if (!name) return sendJson(response, 400, { error: 'A name is required' });
+                sendJson(response, 201, describeProfile(store.create(name, body.appearance), true));
+            });
+            return true;
+
+        case 'GET /api/profiles/me':
+            if (!profile) sendJson(response, 401, { error: 'Unknown profile' });
+            else sendJson(response, 200, describeProfile(profile));
+            return true;
+
+        case 'PUT /api/profiles/me':
+            if (!profile) {
+                sendJson(response, 401, { error: 'Unknown profile' });
+                return true;
+            }
+            withBody((body) => {
+                const name = cleanName(body.name);
+                const appearance = body.appearance && typeof body.appearance === 'object' ? body.appearance : null;
+                if (!name && !appearance) return sendJson(response, 400, { error: 'Nothing to change' });
+                store.update(profile, { name, appearance });
+                sendJson(response, 200, describeProfile(profile));
+            });
+            return true;
+
+        case 'GET /api/leaderboard': {
+            const period = Object.hasOwn(PERIODS, url.searchParams.get('period')) ? url.searchParams.get('period') : 'all';
+            const pageSize = Math.max(1, Math.min(50, Number(url.searchParams.get('pageSize')) || 10));
+            const rows = store.leaderboard(period);
+            const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+            const page = Math.max(1, Math.min(pages, Math.floor(Number(url.searchParams.get('page'))) || 1));
+
+            sendJson(response, 200, {
+                period,
+                page,
+                pages,
+                total: rows.length,
+                entries: rows.slice((page - 1) * pageSize, page * pageSize).map((row, i) => ({
+                    rank: (page - 1) * pageSize + i + 1,
+                    ...row
+                }))
+            });
+            return true;
+        }
+    }
+    return false;
+}
+
+module.exports = { ProfileStore, handleProfileRequest, PERIODS };
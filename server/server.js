@@ -0,0 +1,99 @@
+// Local development server: serves the game files over http, runs the lobby
+// over a WebSocket at /lobby and matches over a WebSocket at /ws, and keeps
+// player profiles and the leaderboard under /api (see profiles.js).
+//
+//   node server/server.js [--port 8080] [--mode ffa|teams|lms|timed] [--arena classic|islands|...]
+//
+// then open http://localhost:8080/ for the lobby, or
+// http://localhost:8080/game.html?online to drop straight into the open room
+const http = require('http');
+const path = require('path');
+const { acceptWebSocket } = require('./websocket');
+const { serveStatic } = require('./static');
+const { GameRoom } = require('./game-room');
+const { Lobby } = require('./lobby');
+const { ProfileStore, handleProfileRequest } = require('./profiles');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body));
+}
+
+function createServer(options = {}) {
+    const openRoom = new GameRoom({ mode: options.mode, arena: options.arena });
+    const profiles = new ProfileStore(options.profilesFile || path.join(ROOT, 'data', 'profiles.json'));
+    const lobby = new Lobby({ ...options.lobby, profiles });
+
+    const server = http.createServer((request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+
+        if (pathname === '/api/lobbies') {
+            sendJson(response, 200, { rooms: lobby.listRooms() });
+        } else if (pathname === '/api/status') {
+            const { playersInGame, waiting } = lobby.getStatus();
+            sendJson(response, 200, { playersInGame: playersInGame + openRoom.playerCount, waiting });
+        } else if (!handleProfileRequest(request, response, profiles)) {
+            serveStatic(request, response, ROOT);
+        }
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+        if (pathname !== '/ws' && pathname !== '/lobby') {
+            socket.destroy();
+            return;
+        }
+
+        const connection = acceptWebSocket(request, socket);
+        if (!connection) return;
+
+        if (pathname === '/lobby') {
+            lobby.connect(connection);
+            return;
+        }
+
+        // Lobby matches are joined with the ticket handed out when the room started
+        const roomId = searchParams.get('room');
+        const room = roomId ? lobby.getGameRoom(roomId) : openRoom;
+        if (!room) {
+            connection.close(4004, 'No such room');
+            return;
+        }
+        room.addClient(connection, {
+            name: searchParams.get('name'),
+            ticket: searchParams.get('ticket'),
+            spectate: searchParams.has('spectate'),
+            appearance: {
+                skin: searchParams.get('skin'),
+                trail: searchParams.get('trail'),
+                fill: searchParams.get('fill')
+            }
+        });
+    });
+
+    server.on('close', () => {
+        openRoom.stop();
+        lobby.close();
+        profiles.close();
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    const portArg = process.argv.indexOf('--port');
+    const port = Number(portArg !== -1 ? process.argv[portArg + 1] : process.env.PORT) || 8080;
+    const modeArg = process.argv.indexOf('--mode');
+    const arenaArg = process.argv.indexOf('--arena');
+
+    createServer({
+        mode: modeArg !== -1 ? process.argv[modeArg + 1] : undefined,
+        arena: arenaArg !== -1 ? process.argv[arenaArg + 1] : undefined
+    }).listen(port, () => {
+        console.log(`Paper.io Arena server on http://localhost:${port}/`);
+    });
+}
+
+module.exports = { createServer };
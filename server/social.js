@@ -0,0 +1,211 @@
+// Friends, presence and parties for the lobby. A lobby page says hello with
+// its profile token, and from then on gets its friends list pushed whenever
+// someone's status changes: offline, online (on the lobby page) or in a
+// match. Friends can be invited into a party; the party leader picks rooms
+// and the whole party goes along (see Lobby.groupFor).
+//
+// Client messages:
+//   { type: 'hello', token }
+//   { type: 'friends' }                  resend the list
+//   { type: 'friendRequest', name }
+//   { type: 'friendAccept', id }
+//   { type: 'friendRemove', id }         unfriend, decline or withdraw
+//   { type: 'partyInvite', id }
+//   { type: 'partyAccept', partyId }
+//   { type: 'partyLeave' }
+//
+// Server messages: 'friends', 'party' and 'partyInvite'.
+const crypto = require('crypto');
+
+const SOCIAL_MESSAGES = ['hello', 'friends', 'friendRequest', 'friendAccept', 'friendRemove',
+    'partyInvite', 'partyAccept', 'partyLeave'];
+
+class Social {
+    constructor(lobby, profiles) {
+        this.lobby = lobby;
+        this.profiles = profiles; // ProfileStore, or null to turn friends off
+        this.parties = new Map(); // party id -> { id, leader, members, invited }
+    }
+
+    // Returns false for messages that aren't about friends or parties
+    handleMessage(member, data) {
+        if (!SOCIAL_MESSAGES.includes(data.type)) return false;
+
+        if (data.type === 'hello') {
+            member.profile = this.profiles ? this.profiles.byToken(data.token) : null;
+            this.update();
+            return true;
+        }
+        if (!member.profile) {
+            this.lobby.sendError(member, 'Log in to add friends');
+            return true;
+        }
+
+        try {
+            this.handleProfileMessage(member, data);
+        } catch (error) {
+            this.lobby.sendError(member, error.message);
+        }
+        return true;
+    }
+
+    handleProfileMessage(member, data) {
+        const { profile } = member;
+        const friend = () => {
+            const other = this.profiles.byId(data.id);
+            if (!other) throw new Error('No such player');
+            return other;
+        };
+
+        switch (data.type) {
+            case 'friends':
+                this.sendFriends(member);
+                break;
+            case 'friendRequest':
+                this.profiles.requestFriend(profile, this.profiles.byName(data.name));
+                this.update();
+                break;
+            case 'friendAccept':
+                this.profiles.acceptFriend(profile, friend());
+                this.update();
+                break;
+            case 'friendRemove':
+                this.profiles.removeFriend(profile, friend());
+                this.update();
+                break;
+            case 'partyInvite':
+                this.invite(member, friend());
+                break;
+            case 'partyAccept':
+                this.acceptInvite(member, this.parties.get(data.partyId));
+                break;
+            case 'partyLeave':
+                this.leaveParty(member);
+                break;
+        }
+    }
+
+    invite(member, other) {
+        if (!member.profile.friends.includes(other.id)) throw new Error(`${other.name} isn't your friend`);
+        const reachable = [...this.lobby.members].filter(m => m.profile === other);
+        if (reachable.length === 0) throw new Error(`${other.name} isn't on the lobby page`);
+        if (member.party && reachable.some(m => m.party === member.party)) {
+            throw new Error(`${other.name} is already in your party`);
+        }
+
+        let party = member.party;
+        if (!party) {
+            party = { id: crypto.randomBytes(4).toString('hex'), leader: member, members: [member], invited: new Set() };
+            this.parties.set(party.id, party);
+            member.party = party;
+            this.sendParty(party);
+        }
+        if (party.members.length >= this.lobby.maxPlayers) throw new Error('The party is full');
+
+        party.invited.add(other.id);
+        for (const invitee of reachable) {
+            invitee.connection.send({ type: 'partyInvite', partyId: party.id, from: member.profile.name });
+        }
+    }
+
+    acceptInvite(member, party) {
+        if (!party || !party.invited.has(member.profile.id)) throw new Error('That invite has expired');
+        if (party.members.length >= this.lobby.maxPlayers) throw new Error('The party is full');
+        if (member.party === party) return;
+
+        this.leaveParty(member);
+        this.lobby.leave(member);
+        party.invited.delete(member.profile.id);
+        party.members.push(member);
+        member.party = party;
+        this.sendParty(party);
+        this.update();
+    }
+
+    // The next member leads when the leader goes; a party of one is over
+    leaveParty(member) {
+        const party = member.party;
+        if (!party) return;
+
+        member.party = null;
+        party.members = party.members.filter(m => m !== member);
+        if (party.leader === member) party.leader = party.members[0] || null;
+        member.connection.send({ type: 'party', party: null });
+
+        if (party.members.length <= 1) {
+            for (const m of party.members) {
+                m.party = null;
+                m.connection.send({ type: 'party', party: null });
+            }
+            this.parties.delete(party.id);
+        } else {
+            this.sendParty(party);
+        }
+        this.update();
+    }
+
+    disconnect(member) {
+        this.leaveParty(member);
+        if (member.profile) this.update();
+    }
+
+    // Everyone who goes into a room along with this member: the party, led
+    // by its leader, or just the member. Null if they aren't the one to pick.
+    groupFor(member) {
+        if (!member.party) return [member];
+        if (member.party.leader !== member) {
+            this.lobby.sendError(member, 'The party leader picks the room');
+            return null;
+        }
+        return member.party.members;
+    }
+
+    sendParty(party) {
+        const message = {
+            type: 'party',
+            party: {
+                id: party.id,
+                leaderId: party.leader.profile.id,
+                members: party.members.map(m => ({ id: m.profile.id, name: m.profile.name }))
+            }
+        };
+        for (const member of party.members) member.connection.send(message);
+    }
+
+    // 'inMatch' while holding a seat in a lobby match, 'online' on the lobby
+    // page, otherwise 'offline'
+    statusOf(profileId) {
+        for (const room of this.lobby.rooms.values()) {
+            if (room.state === 'playing' && room.game.hasProfile(profileId)) return 'inMatch';
+        }
+        for (const member of this.lobby.members) {
+            if (member.profile && member.profile.id === profileId) return 'online';
+        }
+        return 'offline';
+    }
+
+    sendFriends(member) {
+        const { profile } = member;
+        const describe = (id) => {
+            const other = this.profiles.byId(id);
+            return other ? { id, name: other.name } : null;
+        };
+
+        member.connection.send({
+            type: 'friends',
+            friends: profile.friends.map(describe).filter(Boolean)
+                .map(friend => ({ ...friend, status: this.statusOf(friend.id) })),
+            incoming: profile.incoming.map(describe).filter(Boolean),
+            outgoing: this.profiles.outgoing(profile).map(other => ({ id: other.id, name: other.name }))
+        });
+    }
+
+    // Pushes fresh friends lists to every logged in lobby page
+    update() {
+        for (const member of this.lobby.members) {
+            if (member.profile) this.sendFriends(member);
+        }
+    }
+}
+
+module.exports = { Social };
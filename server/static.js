@@ -0,0 +1,46 @@
+// Serves the browser files from the repository root for local development.
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Server code, tools, stored data and anything starting with a dot stay private
+const PRIVATE_PATHS = /(^|\/)(\.|server\/|tools\/|data\/|node_modules\/)/;
+
+function serveStatic(request, response, root) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname).replace(/^\/+/, '') || 'index.html';
+    } catch (error) {
+        relative = '';
+    }
+    const file = path.resolve(root, relative);
+
+    if (!relative || !file.startsWith(root + path.sep) || PRIVATE_PATHS.test(relative) ||
+        !CONTENT_TYPES[path.extname(file)]) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] });
+        response.end(data);
+    });
+}
+
+module.exports = { serveStatic };
@@ -0,0 +1,163 @@
+// Minimal WebSocket (RFC 6455) server side built on Node's http upgrade
+// event, so the dev server runs without any installed packages. It handles
+// text messages, fragmentation, ping/pong and the closing handshake.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentSize = 0;
+        this.open = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    send(data) {
+        if (!this.open) return;
+        const payload = Buffer.from(typeof data === 'string' ? data : JSON.stringify(data));
+        this.socket.write(this.frame(OPCODES.text, payload));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.open) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(this.frame(OPCODES.close, payload));
+        this.finish();
+    }
+
+    finish() {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close');
+    }
+
+    frame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN + opcode, servers never mask
+        return Buffer.concat([header, payload]);
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.open && this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+            const fin = (first & 0x80) !== 0;
+            const opcode = first & 0x0F;
+            const masked = (second & 0x80) !== 0;
+            let length = second & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Clients must mask their frames
+            if (!masked || length > MAX_MESSAGE_SIZE) {
+                this.close(1002, 'Protocol error');
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                this.fragments.push(payload);
+                this.fragmentSize += payload.length;
+                if (this.fragmentSize > MAX_MESSAGE_SIZE) {
+                    this.close(1009, 'Message too big');
+                } else if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentSize = 0;
+                    this.emit('message', message);
+                }
+                break;
+            case OPCODES.ping:
+                this.socket.write(this.frame(OPCODES.pong, payload));
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close:
+                this.close();
+                break;
+            default:
+                this.close(1002, 'Unknown opcode');
+        }
+    }
+}
+
+// Completes the upgrade handshake for an http 'upgrade' request. Returns the
+// connection, or null if the request wasn't a valid WebSocket upgrade.
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };
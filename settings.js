@@ -0,0 +1,94 @@
+// Display, sound and accessibility settings, kept in the browser's storage.
+// None of them change the match, only how it's shown, heard and told.
+
+// Colours by seat and by team, in the order of PLAYER_COLORS and TEAMS. The
+// standard palette is those; the others stay apart for the common kinds of
+// colour blindness. Team colours keep their hue so team names still fit.
+const PALETTES = {
+    standard: {
+        label: 'Standard',
+        players: PLAYER_COLORS,
+        teams: TEAMS.map(team => team.color)
+    },
+    'okabe-ito': {
+        label: 'Colorblind safe (Okabe–Ito)',
+        players: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#CC79A7', '#D55E00', '#0072B2', '#BBBBBB'],
+        teams: ['#D55E00', '#56B4E9', '#009E73', '#F0E442']
+    },
+    'tol-bright': {
+        label: 'Colorblind safe (Tol bright)',
+        players: ['#EE6677', '#66CCEE', '#228833', '#CCBB44', '#AA3377', '#4477AA', '#BBBBBB', '#FFFFFF'],
+        teams: ['#EE6677', '#4477AA', '#228833', '#CCBB44']
+    }
+};
+
+const SETTINGS_STORAGE = 'paperio:settings';
+
+const DEFAULT_SETTINGS = {
+    palette: 'standard',
+    markers: false, // a shape on each head and a pattern on each player's land
+    highContrast: false,
+    reducedMotion: false,
+    screenReader: false, // announce captures, eliminations, time and the result
+    masterVolume: 0.8, // volumes from 0 to 1
+    sfxVolume: 0.8,
+    musicVolume: 0.5,
+    muted: false
+};
+
+function loadSettings() {
+    const settings = { ...DEFAULT_SETTINGS };
+    // Until changed here, motion follows the system setting
+    if (window.matchMedia) settings.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE)) || {};
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            if (typeof stored[key] !== typeof DEFAULT_SETTINGS[key]) continue;
+            settings[key] = typeof stored[key] === 'number' ? Math.max(0, Math.min(1, stored[key])) : stored[key];
+        }
+    } catch (error) {
+        // Fall back to the defaults
+    }
+    if (!Object.hasOwn(PALETTES, settings.palette)) settings.palette = DEFAULT_SETTINGS.palette;
+    return settings;
+}
+
+function saveSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE, JSON.stringify(settings));
+}
+
+// Colours only matter for drawing, so a palette simply recolours the players
+// in the local copy of the match
+function applyPalette(players, name) {
+    const palette = PALETTES[name] || PALETTES.standard;
+    for (const player of players) {
+        player.color = player.team !== null
+            ? palette.teams[player.team % palette.teams.length]
+            : palette.players[(player.id - 1) % palette.players.length];
+    }
+}
+
+// Reads messages out through ARIA live regions: a polite one for the flow of
+// the match and an assertive one for what needs hearing at once
+class Announcer {
+    constructor(polite, assertive) {
+        this.polite = polite;
+        this.assertive = assertive;
+        this.enabled = false;
+        this.maxMessages = 5; // older ones are dropped from the regions
+    }
+
+    say(text, urgent = false) {
+        if (!this.enabled) return;
+        const region = urgent ? this.assertive : this.polite;
+        const message = document.createElement('p');
+        message.textContent = text;
+        region.appendChild(message);
+        while (region.children.length > this.maxMessages) region.removeChild(region.children[0]);
+    }
+
+    clear() {
+        this.polite.innerHTML = '';
+        this.assertive.innerHTML = '';
+    }
+}
@@ -0,0 +1,689 @@
+// Headless match rules. A simulation is built from a config and a seed and is
+// advanced one fixed tick at a time with the direction inputs for that tick.
+// It never touches the DOM, the wall clock or Math.random, so the same seed
+// and inputs always play out the same match, in the browser or in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./territory'), require('./trail-index'), require('./modes'),
+            require('./pickups'), require('./arenas'));
+    } else {
+        Object.assign(root, factory(root, root, root, root, root));
+    }
+})(this, function ({ TerritoryGrid }, { TrailIndex }, { MATCH_MODES, TEAMS, getMode, createSpawnPoints },
+    { PICKUP_TYPES }, { ARENAS, ArenaMap, getArena, parseArena, isPlainArena }) {
+    // mulberry32: small seeded generator returning floats in [0, 1)
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Mixes a match seed with a stream number (e.g. a player id) so separate
+    // consumers get independent but reproducible sequences
+    function deriveSeed(seed, stream) {
+        let h = (seed ^ Math.imul(stream + 1, 0x9E3779B1)) >>> 0;
+        h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+        h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    // Keeps pickup spawns apart from the per-player streams the bots use
+    const PICKUP_STREAM = 0x5049434B;
+
+    const DIRECTIONS = [
+        { x: 0, y: -1 }, // up
+        { x: 0, y: 1 },  // down
+        { x: -1, y: 0 }, // left
+        { x: 1, y: 0 }   // right
+    ];
+
+    // Colors for players, in seat order
+    const PLAYER_COLORS = [
+        '#FF6B6B', // Red - Human player
+        '#4ECDC4', // Teal
+        '#45B7D1', // Blue
+        '#96CEB4', // Green
+        '#FFEAA7', // Yellow
+        '#DDA0DD', // Plum
+        '#98D8C8', // Mint
+        '#F7DC6F'  // Light Yellow
+    ];
+
+    // The world is much bigger than the screen; clients scroll a camera over it
+    const DEFAULT_CONFIG = {
+        width: 2400,
+        height: 1800,
+        tickRate: 60, // ticks per second
+        timeLimit: 180000, // 3 minutes
+        playerSize: 8,
+        cellSize: 4, // resolution of the territory grid
+        trailSpacing: 4, // distance between recorded trail points
+        startRadius: 40,
+        mode: 'ffa', // see MATCH_MODES
+        teamCount: 2, // teams mode only
+        arena: null, // obstacles, boundary and so on (see arenas.js); null for an empty rectangle
+        pickupInterval: 0, // ms between pickup spawns, 0 for none; the mode can also turn them off
+        maxPickups: 5, // lying around at once
+        pickupSize: 10, // radius
+        players: [
+            { x: 300, y: 300, speed: 120, isHuman: true }, // Top-left
+            { x: 2100, y: 300, speed: 100 },                // Top-right
+            { x: 300, y: 1500, speed: 100 },                // Bottom-left
+            { x: 2100, y: 1500, speed: 100 }                // Bottom-right
+        ]
+    };
+
+    // Everything that defines a match apart from who plays it
+    const DEFAULT_MATCH_SETTINGS = {
+        mode: DEFAULT_CONFIG.mode,
+        arena: 'classic', // a name from ARENAS, or arena data such as the editor makes
+        players: 4, // seats, humans included
+        teamCount: DEFAULT_CONFIG.teamCount,
+        width: DEFAULT_CONFIG.width,
+        height: DEFAULT_CONFIG.height,
+        timeLimit: DEFAULT_CONFIG.timeLimit,
+        startRadius: DEFAULT_CONFIG.startRadius,
+        pickupInterval: 8000,
+        humanSpeed: 120, // px per second
+        botSpeed: 100
+    };
+
+    // Settings with anything missing or out of range replaced by the defaults.
+    // Offline modes (see MATCH_MODES) are only for lessons, which ask for them
+    // with options.offline.
+    function createMatchSettings(overrides = {}, { offline = false } = {}) {
+        const settings = { ...DEFAULT_MATCH_SETTINGS };
+        for (const key of Object.keys(settings)) {
+            if (key !== 'mode' && key !== 'arena' && Number(overrides[key]) > 0) settings[key] = Number(overrides[key]);
+        }
+        if (Object.hasOwn(MATCH_MODES, overrides.mode) && (offline || !MATCH_MODES[overrides.mode].offline)) {
+            settings.mode = overrides.mode;
+        }
+        if (Object.hasOwn(ARENAS, overrides.arena)) {
+            settings.arena = overrides.arena;
+        } else if (overrides.arena && typeof overrides.arena === 'object') {
+            settings.arena = parseArena(overrides.arena);
+        }
+        settings.players = Math.max(2, Math.min(PLAYER_COLORS.length, Math.round(settings.players)));
+        settings.teamCount = Math.max(2, Math.min(TEAMS.length, settings.players, Math.round(settings.teamCount)));
+        return settings;
+    }
+
+    // The simulation config for a match. seats: [{ name, isHuman, speed, appearance }] in
+    // seat order, any of them optional; seat ids start at 1.
+    function createMatchConfig(settings, seats = []) {
+        const mode = getMode(settings.mode);
+        const arena = typeof settings.arena === 'object' ? settings.arena : getArena(settings.arena);
+        const config = {
+            mode: settings.mode,
+            teamCount: settings.teamCount,
+            width: arena.width || settings.width,
+            height: arena.height || settings.height,
+            timeLimit: settings.timeLimit,
+            startRadius: settings.startRadius,
+            pickupInterval: settings.pickupInterval,
+            arena: isPlainArena(arena) ? null : arena
+        };
+
+        // Spawns too close to a wall or a neutral zone move to the nearest open ground
+        let spawns = mode.spawns(settings.players, config);
+        if (config.arena) {
+            const map = new ArenaMap(config.arena, config.width, config.height, DEFAULT_CONFIG.cellSize);
+            spawns = spawns.map(spawn => map.findOpenPoint(spawn.x, spawn.y, config.startRadius * 1.5));
+        }
+
+        config.players = spawns.map((spawn, i) => {
+            const seat = seats[i] || {};
+            const team = mode.teams ? mode.teamOf(i, config) : null;
+            return {
+                id: i + 1,
+                name: seat.name,
+                x: spawn.x,
+                y: spawn.y,
+                color: team === null ? PLAYER_COLORS[i % PLAYER_COLORS.length] : TEAMS[team].color,
+                team,
+                isHuman: !!seat.isHuman,
+                speed: seat.speed || (seat.isHuman ? settings.humanSpeed : settings.botSpeed),
+                appearance: seat.appearance
+            };
+        });
+        return config;
+    }
+
+    class PaperIOSimulation {
+        constructor(config = {}, seed = 1) {
+            this.config = { ...DEFAULT_CONFIG, ...config };
+            this.mode = getMode(this.config.mode);
+            this.seed = seed >>> 0;
+            this.dt = 1 / this.config.tickRate;
+            const { arena, width, height, cellSize } = this.config;
+            this.arena = new ArenaMap(arena, width, height, cellSize);
+            this.reset();
+        }
+
+        reset() {
+            const { width, height, cellSize } = this.config;
+
+            this.state = {
+                tick: 0,
+                time: 0, // ms of match time
+                running: true,
+                players: [],
+                grid: new TerritoryGrid(width, height, cellSize),
+                pickups: [], // { id, type, x, y }, see pickups.js
+                nextPickupId: 1
+            };
+            this.trailIndex = new TrailIndex(width, height);
+
+            // Walls and neutral zones can never be claimed
+            this.state.grid.locked.set(this.arena.cells);
+
+            // Teammates hold one territory, kept under the first teammate's id
+            const owners = new Map(); // team -> owner id
+
+            this.config.players.forEach((entry, i) => {
+                const team = entry.team ?? null;
+                const id = entry.id || i + 1;
+                if (team !== null && !owners.has(team)) owners.set(team, id);
+
+                const player = {
+                    id,
+                    name: entry.name || `Player ${entry.id || i + 1}`,
+                    color: entry.color || null,
+                    appearance: entry.appearance || null, // { skin, trail, fill }, see appearance.js
+                    isHuman: !!entry.isHuman,
+                    team,
+                    owner: team === null ? id : owners.get(team), // id the player's land is held under
+                    x: entry.x,
+                    y: entry.y,
+                    direction: { x: 0, y: 0 },
+                    speed: entry.speed,
+                    trail: [],
+                    trailDirection: null,
+                    territory: [],
+                    alive: true,
+                    eliminatedAt: null, // tick
+                    kills: 0,
+                    effects: {} // pickup type -> tick it wears off
+                };
+
+                // Create initial territory (circle around starting position)
+                this.state.grid.claimCircle(player.owner, player.x, player.y, this.config.startRadius);
+                this.state.players.push(player);
+            });
+            this.updateTerritories();
+
+            return this.state;
+        }
+
+        // Re-traces the outlines of the given owners' land (all by default);
+        // teammates share the same rings
+        updateTerritories(ownerIds = null) {
+            const outlines = new Map();
+            for (const player of this.state.players) {
+                if (ownerIds && !ownerIds.has(player.owner)) continue;
+                if (!outlines.has(player.owner)) outlines.set(player.owner, this.state.grid.traceOutlines(player.owner));
+                player.territory = outlines.get(player.owner);
+            }
+        }
+
+        // Teammates, never the player itself
+        areAllies(a, b) {
+            return a.id !== b.id && a.team !== null && a.team === b.team;
+        }
+
+        // Copies of the mutable match state, for checkpoints and rewinding
+        saveState() {
+            const { tick, time, running, players, grid, pickups, nextPickupId } = this.state;
+            return {
+                tick,
+                time,
+                running,
+                players: players.map(player => this.copyPlayer(player)),
+                grid: grid.saveState(),
+                pickups: pickups.map(pickup => ({ ...pickup })),
+                nextPickupId
+            };
+        }
+
+        loadState(saved) {
+            this.state.tick = saved.tick;
+            this.state.time = saved.time;
+            this.state.running = saved.running;
+            this.state.players = saved.players.map(player => this.copyPlayer(player));
+            this.state.grid.loadState(saved.grid);
+            this.state.pickups = saved.pickups.map(pickup => ({ ...pickup }));
+            this.state.nextPickupId = saved.nextPickupId;
+        }
+
+        copyPlayer(player) {
+            // Trail points and territory rings are never mutated, only replaced
+            return {
+                ...player,
+                direction: { ...player.direction },
+                trailDirection: player.trailDirection && { ...player.trailDirection },
+                trail: player.trail.slice(),
+                effects: { ...player.effects }
+            };
+        }
+
+        getPlayer(id) {
+            return this.state.players.find(p => p.id === id) || null;
+        }
+
+        // inputs: { [playerId]: { x, y } } direction changes for this tick.
+        // Returns the state and what happened during the tick:
+        //   { type: 'capture', playerId, cells, area, stolen: [{ ownerId, cells, area }], tick, time }
+        //   { type: 'pickup', playerId, pickupType, x, y, tick, time }
+        //   { type: 'shield', playerId, cause, byId, tick, time } a shield took a hit
+        //   { type: 'elimination', playerId, cause, killerId, x, y, tick, time }
+        //   { type: 'end' }
+        step(inputs = {}) {
+            const events = [];
+            if (!this.state.running) return { state: this.state, events };
+            this.events = events;
+
+            for (const id of Object.keys(inputs)) {
+                const player = this.getPlayer(Number(id));
+                if (player) this.applyInput(player, inputs[id]);
+            }
+
+            this.expireEffects();
+            this.spawnPickups();
+            this.updatePlayers(this.dt);
+            this.collectPickups();
+            this.checkCollisions();
+
+            this.state.tick++;
+            this.state.time = Math.round(this.state.tick * 1000 / this.config.tickRate);
+            this.checkGameEnd();
+
+            this.events = null;
+            return { state: this.state, events };
+        }
+
+        emit(event) {
+            if (this.events) this.events.push(event);
+        }
+
+        applyInput(player, direction) {
+            if (!player.alive || !direction) return;
+
+            // Only the four axis directions (or stopping) are valid
+            const valid = (direction.x === 0 && direction.y === 0) ||
+                DIRECTIONS.some(d => d.x === direction.x && d.y === direction.y);
+            if (!valid) return;
+
+            // Turning back onto an open trail is never allowed
+            if (player.trail.length > 0 &&
+                direction.x === -player.direction.x && direction.y === -player.direction.y) {
+                return;
+            }
+
+            player.direction = { x: direction.x, y: direction.y };
+        }
+
+        updatePlayers(deltaTime) {
+            for (const player of this.state.players) {
+                if (this.movePlayer(player, deltaTime)) {
+                    // Player returned to territory, close the trail
+                    this.closeTrail(player);
+                }
+            }
+        }
+
+        // Moves one player and extends its trail. Returns true when the player
+        // has just come back into its territory with an open trail. Clients
+        // also use this on its own to predict their player between snapshots.
+        movePlayer(player, deltaTime) {
+            if (!player.alive || (player.direction.x === 0 && player.direction.y === 0)) return false;
+
+            const oldX = player.x;
+            const oldY = player.y;
+
+            // Update position based on direction and speed
+            const speed = this.getSpeed(player);
+            player.x += player.direction.x * speed * deltaTime;
+            player.y += player.direction.y * speed * deltaTime;
+
+            // Check if player is outside their territory
+            if (!this.isInTerritory(player, player.x, player.y)) {
+                // Start the trail where we left, then add points at turns and at regular spacing
+                const last = player.trail[player.trail.length - 1];
+                const turned = player.trailDirection &&
+                    (player.trailDirection.x !== player.direction.x || player.trailDirection.y !== player.direction.y);
+                if (!last || turned ||
+                    Math.sqrt((oldX - last.x) ** 2 + (oldY - last.y) ** 2) >= this.config.trailSpacing) {
+                    player.trail.push({ x: oldX, y: oldY });
+                    player.trailDirection = { ...player.direction };
+                }
+                return false;
+            }
+            return player.trail.length > 0;
+        }
+
+        // Base speed with any boost applied, px per second
+        getSpeed(player) {
+            return this.hasEffect(player, 'speed') ? player.speed * PICKUP_TYPES.speed.speedMultiplier : player.speed;
+        }
+
+        hasEffect(player, type) {
+            return (player.effects[type] || 0) > this.state.tick;
+        }
+
+        // ms of match time before an effect wears off, 0 when it isn't on
+        getEffectTimeLeft(player, type) {
+            return Math.max(0, (player.effects[type] || 0) - this.state.tick) * 1000 / this.config.tickRate;
+        }
+
+        expireEffects() {
+            for (const player of this.state.players) {
+                for (const type of Object.keys(player.effects)) {
+                    if (!this.hasEffect(player, type)) delete player.effects[type];
+                }
+            }
+        }
+
+        // Drops a pickup every pickupInterval ms while fewer than maxPickups
+        // are lying around. What and where come from a random stream seeded
+        // with the tick, so re-simulating from a checkpoint drops the same ones.
+        spawnPickups() {
+            const { width, height, tickRate, pickupInterval, maxPickups } = this.config;
+            if (!this.mode.pickups || !(pickupInterval > 0)) return;
+
+            const { tick, pickups } = this.state;
+            const every = Math.max(1, Math.round(pickupInterval * tickRate / 1000));
+            if (tick === 0 || tick % every !== 0 || pickups.length >= maxPickups) return;
+
+            const random = createRandom(deriveSeed(this.seed ^ PICKUP_STREAM, tick));
+            const types = Object.keys(PICKUP_TYPES);
+            const margin = 40;
+            for (let attempt = 0; attempt < 20; attempt++) {
+                const x = margin + random() * (width - margin * 2);
+                const y = margin + random() * (height - margin * 2);
+                if (this.canPlacePickup(x, y)) {
+                    const type = types[Math.floor(random() * types.length)];
+                    pickups.push({ id: this.state.nextPickupId++, type, x, y });
+                    return;
+                }
+            }
+        }
+
+        // Unclaimed ground, clear of trails and not right in front of anyone
+        canPlacePickup(x, y) {
+            const clearance = 80;
+            if (!this.arena.isOpen(x, y, 30)) return false;
+            if (this.state.grid.ownerAt(x, y) !== 0 || this.trailOwnersNear(x, y, 30).size > 0) return false;
+            return this.state.players.every(p => !p.alive || Math.hypot(p.x - x, p.y - y) > clearance) &&
+                this.state.pickups.every(p => Math.hypot(p.x - x, p.y - y) > clearance);
+        }
+
+        collectPickups() {
+            const reach = this.config.playerSize + this.config.pickupSize;
+            for (const player of this.state.players) {
+                if (!player.alive) continue;
+                for (const pickup of this.state.pickups) {
+                    if (Math.hypot(pickup.x - player.x, pickup.y - player.y) <= reach) {
+                        this.state.pickups = this.state.pickups.filter(p => p !== pickup);
+                        this.applyPickup(player, pickup);
+                        break;
+                    }
+                }
+            }
+        }
+
+        // Timed effects start over when picked up again; the bomb claims a
+        // circle of land around the player straight away
+        applyPickup(player, pickup) {
+            const info = PICKUP_TYPES[pickup.type];
+            this.emit({
+                type: 'pickup',
+                playerId: player.id,
+                pickupType: pickup.type,
+                x: pickup.x,
+                y: pickup.y,
+                tick: this.state.tick,
+                time: this.state.time
+            });
+
+            if (info.duration) {
+                player.effects[pickup.type] = this.state.tick + Math.round(info.duration * this.config.tickRate / 1000);
+            } else if (pickup.type === 'bomb') {
+                const { gained, stolen } = this.state.grid.claimCircle(player.owner, player.x, player.y, info.radius);
+                this.claimLand(player, gained, stolen);
+            }
+        }
+
+        // Whether a pickup saves a trail that was just crossed. Frozen trails
+        // can't be cut at all; a shield takes one hit and drops the trail.
+        protectTrail(player, cause, by = null) {
+            if (this.hasEffect(player, 'freeze')) return true;
+            if (!this.hasEffect(player, 'shield')) return false;
+
+            delete player.effects.shield;
+            player.trail = [];
+            player.trailDirection = null;
+            this.emit({
+                type: 'shield',
+                playerId: player.id,
+                cause,
+                byId: by ? by.id : null,
+                tick: this.state.tick,
+                time: this.state.time
+            });
+            return true;
+        }
+
+        isPositionSafe(player, x, y) {
+            // Check walls and obstacles
+            if (!this.arena.isOpen(x, y, 10)) {
+                return false;
+            }
+
+            // Check collision with other players' trails
+            for (const ownerId of this.trailOwnersNear(x, y, 15)) {
+                const owner = this.getPlayer(ownerId);
+                if (ownerId !== player.id && owner && owner.alive && !this.areAllies(owner, player)) return false;
+            }
+
+            // Check collision with own trail
+            return !this.isNearTrail(player, x, y, 10);
+        }
+
+        checkCollisions() {
+            const { playerSize } = this.config;
+
+            for (const player of this.state.players) {
+                if (!player.alive) continue;
+
+                // Check boundary and obstacle collision
+                if (this.arena.isSolid(player.x, player.y)) {
+                    this.eliminatePlayer(player, 'wall');
+                    continue;
+                }
+
+                // Running into someone else's trail cuts it, eliminating its
+                // owner; teammates pass over each other's trails
+                for (const ownerId of this.trailOwnersNear(player.x, player.y, playerSize)) {
+                    const owner = this.getPlayer(ownerId);
+                    if (ownerId !== player.id && owner && owner.alive && !this.areAllies(owner, player) &&
+                        !this.protectTrail(owner, 'cut', player)) {
+                        this.eliminatePlayer(owner, 'cut', player);
+                    }
+                }
+
+                // Check collision with own trail (but not the most recent part)
+                if (player.trail.length > 10 && this.isNearTrail(player, player.x, player.y, playerSize, 5) &&
+                    !this.protectTrail(player, 'self')) {
+                    this.eliminatePlayer(player, 'self');
+                }
+            }
+        }
+
+        // Whether a point is near the player's trail, leaving out the last
+        // skipLast points. Goes through the trail index.
+        isNearTrail(player, x, y, threshold, skipLast = 0) {
+            this.trailIndex.sync(player.id, player.trail);
+            return this.trailIndex.isNear(x, y, threshold, player.id, player.trail.length - 1 - skipLast);
+        }
+
+        // Ids of players with a trail near a point
+        trailOwnersNear(x, y, threshold) {
+            for (const player of this.state.players) {
+                this.trailIndex.sync(player.id, player.trail);
+            }
+            return this.trailIndex.ownersNear(x, y, threshold);
+        }
+
+        // Checks a point against every segment of any list of points
+        isPointNearTrail(x, y, trail, threshold) {
+            for (let i = 0; i < trail.length - 1; i++) {
+                const distance = this.distanceToLineSegment(x, y, trail[i], trail[i + 1]);
+                if (distance < threshold) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        distanceToLineSegment(px, py, p1, p2) {
+            const dx = p2.x - p1.x;
+            const dy = p2.y - p1.y;
+            const length = Math.sqrt(dx * dx + dy * dy);
+
+            if (length === 0) return Math.sqrt((px - p1.x) ** 2 + (py - p1.y) ** 2);
+
+            const t = Math.max(0, Math.min(1, ((px - p1.x) * dx + (py - p1.y) * dy) / (length * length)));
+            const projection = { x: p1.x + t * dx, y: p1.y + t * dy };
+
+            return Math.sqrt((px - projection.x) ** 2 + (py - projection.y) ** 2);
+        }
+
+        isInTerritory(player, x, y) {
+            return this.state.grid.ownerAt(x, y) === player.owner;
+        }
+
+        closeTrail(player) {
+            if (player.trail.length < 3) {
+                player.trail = [];
+                player.trailDirection = null;
+                return;
+            }
+
+            // Add current position to complete the trail
+            player.trail.push({ x: player.x, y: player.y });
+
+            // Merge the loop and everything it encloses into our land
+            const grid = this.state.grid;
+            const { gained, stolen } = grid.capture(player.owner, player.trail);
+            player.trail = [];
+            player.trailDirection = null;
+            this.claimLand(player, gained, stolen);
+        }
+
+        // Reports land the player just took and cuts it out of everyone it
+        // came from, knocking out whoever has none left
+        claimLand(player, gained, stolen) {
+            const grid = this.state.grid;
+            this.updateTerritories(new Set([player.owner, ...stolen.keys()]));
+            const cellArea = grid.cellSize * grid.cellSize;
+            this.emit({
+                type: 'capture',
+                playerId: player.id,
+                cells: gained,
+                area: gained * cellArea,
+                // ownerId is the player whose land it was (the team's owner in team modes)
+                stolen: [...stolen].map(([ownerId, cells]) => ({ ownerId, cells, area: cells * cellArea })),
+                tick: this.state.tick,
+                time: this.state.time
+            });
+            for (const victim of this.state.players) {
+                if (victim.alive && stolen.has(victim.owner) && grid.cellCount(victim.owner) === 0) {
+                    this.eliminatePlayer(victim, 'territory', player);
+                }
+            }
+        }
+
+        // cause is 'wall' (the arena's edge or an obstacle), 'self' (own
+        // trail), 'cut' (someone crossed the trail) or 'territory' (all land
+        // captured); killer is whoever did it and gets the kill
+        eliminatePlayer(player, cause, killer = null) {
+            player.alive = false;
+            player.eliminatedAt = this.state.tick;
+            player.trail = [];
+            player.trailDirection = null;
+            player.direction = { x: 0, y: 0 };
+            player.effects = {};
+            if (killer && killer !== player) killer.kills++;
+            this.emit({
+                type: 'elimination',
+                playerId: player.id,
+                cause,
+                killerId: killer ? killer.id : null,
+                x: player.x,
+                y: player.y,
+                tick: this.state.tick,
+                time: this.state.time
+            });
+        }
+
+        // Teammates all count their team's land
+        getTerritoryArea(player) {
+            return this.state.grid.area(player.owner);
+        }
+
+        // Fraction of the arena's claimable ground owned by the player, 0..1
+        getTerritoryShare(player) {
+            const { claimableArea } = this.arena;
+            return claimableArea > 0 ? this.getTerritoryArea(player) / claimableArea : 0;
+        }
+
+        // Infinity in modes without a clock
+        getTimeRemaining() {
+            if (!this.mode.timed) return Infinity;
+            return Math.max(0, this.config.timeLimit - this.state.time);
+        }
+
+        checkGameEnd() {
+            const alivePlayers = this.state.players.filter(p => p.alive);
+
+            if (this.mode.isOver(this, alivePlayers)) {
+                this.state.running = false;
+                this.emit({ type: 'end' });
+            }
+        }
+
+        // Players in final standing order, as the mode ranks them
+        getRankings() {
+            return this.mode.rank(this);
+        }
+
+        // The top ranked player and, in team modes, their teammates
+        getWinners() {
+            const [first] = this.getRankings();
+            return this.state.players.filter(p => p === first || this.areAllies(p, first));
+        }
+    }
+
+    return {
+        PaperIOSimulation,
+        DEFAULT_CONFIG,
+        DEFAULT_MATCH_SETTINGS,
+        DIRECTIONS,
+        PLAYER_COLORS,
+        MATCH_MODES,
+        TEAMS,
+        PICKUP_TYPES,
+        ARENAS,
+        createRandom,
+        deriveSeed,
+        createSpawnPoints,
+        createMatchSettings,
+        createMatchConfig
+    };
+});
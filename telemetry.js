@@ -0,0 +1,146 @@
+// Match telemetry for the post-match analytics. Fed the simulation and its
+// events after every step (every snapshot when playing online), it keeps for
+// each player:
+//   share           territory share, sampled every sampleInterval ms of match time
+//   distance        px travelled
+//   outsideTime     ms spent outside their land with a trail open
+//   captures        how many times they took land
+//   largestCapture  the most area taken at once, in px²
+//   death           where, when and how they went out; null if they didn't
+//   heat            ms spent in each heatCellSize square of the world, row by row
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    const STATS_FORMAT = 'paperio-stats';
+    const STATS_VERSION = 1;
+
+    class MatchTelemetry {
+        constructor(simulation, options = {}) {
+            const { width, height, mode, arena } = simulation.config;
+            this.seed = simulation.seed;
+            this.mode = mode;
+            this.width = width;
+            this.height = height;
+            this.arena = arena;
+            this.claimableArea = simulation.arena.claimableArea;
+            this.sampleInterval = options.sampleInterval || 1000;
+            this.heatCellSize = options.heatCellSize || 40;
+            this.heatCols = Math.ceil(width / this.heatCellSize);
+            this.heatRows = Math.ceil(height / this.heatCellSize);
+
+            this.times = []; // match time of each share sample
+            this.lastTime = simulation.state.time;
+            this.nextSample = simulation.state.time;
+            this.players = new Map(); // player id -> stats
+            for (const player of simulation.state.players) {
+                this.players.set(player.id, {
+                    id: player.id,
+                    name: player.name,
+                    color: player.color,
+                    team: player.team,
+                    share: [],
+                    distance: 0,
+                    outsideTime: 0,
+                    captures: 0,
+                    largestCapture: 0,
+                    death: null,
+                    heat: new Float32Array(this.heatCols * this.heatRows),
+                    lastX: player.x,
+                    lastY: player.y
+                });
+            }
+            this.sample(simulation);
+        }
+
+        record(simulation, events = []) {
+            const { time, players } = simulation.state;
+            const elapsed = Math.max(0, time - this.lastTime);
+            this.lastTime = time;
+
+            for (const player of players) {
+                const stats = this.players.get(player.id);
+                if (!stats || !player.alive) continue;
+
+                stats.distance += Math.hypot(player.x - stats.lastX, player.y - stats.lastY);
+                stats.lastX = player.x;
+                stats.lastY = player.y;
+                if (player.trail.length > 0) stats.outsideTime += elapsed;
+
+                const col = Math.floor(player.x / this.heatCellSize);
+                const row = Math.floor(player.y / this.heatCellSize);
+                if (col >= 0 && col < this.heatCols && row >= 0 && row < this.heatRows) {
+                    stats.heat[row * this.heatCols + col] += elapsed;
+                }
+            }
+
+            let ended = false;
+            for (const event of events) {
+                const stats = this.players.get(event.playerId);
+                if (event.type === 'capture' && stats) {
+                    stats.captures++;
+                    stats.largestCapture = Math.max(stats.largestCapture, event.area);
+                } else if (event.type === 'elimination' && stats) {
+                    const { x, y, time: at, cause, killerId } = event;
+                    stats.death = { x, y, time: at, cause, killerId };
+                } else if (event.type === 'end') {
+                    ended = true;
+                }
+            }
+
+            // The last sample is the final result
+            if (time >= this.nextSample || ended) this.sample(simulation);
+        }
+
+        sample(simulation) {
+            const { time } = simulation.state;
+            this.times.push(time);
+            for (const player of simulation.state.players) {
+                const stats = this.players.get(player.id);
+                if (stats) stats.share.push(simulation.getTerritoryShare(player));
+            }
+            this.nextSample = (Math.floor(time / this.sampleInterval) + 1) * this.sampleInterval;
+        }
+
+        // The raw stats, for the JSON export
+        toJSON(simulation) {
+            return {
+                format: STATS_FORMAT,
+                version: STATS_VERSION,
+                createdAt: new Date().toISOString(),
+                seed: this.seed,
+                mode: this.mode,
+                arena: this.arena ? this.arena.name : null,
+                width: this.width,
+                height: this.height,
+                claimableArea: this.claimableArea,
+                duration: this.lastTime,
+                sampleInterval: this.sampleInterval,
+                times: this.times,
+                heatmap: { cellSize: this.heatCellSize, cols: this.heatCols, rows: this.heatRows },
+                players: [...this.players.values()].map(stats => {
+                    const player = simulation.getPlayer(stats.id);
+                    return {
+                        id: stats.id,
+                        name: player ? player.name : stats.name,
+                        color: player ? player.color : stats.color,
+                        team: stats.team,
+                        kills: player ? player.kills : 0,
+                        share: stats.share.map(share => Math.round(share * 10000) / 10000),
+                        distance: Math.round(stats.distance),
+                        outsideTime: Math.round(stats.outsideTime),
+                        captures: stats.captures,
+                        largestCapture: stats.largestCapture,
+                        death: stats.death,
+                        heat: Array.from(stats.heat, ms => Math.round(ms))
+                    };
+                })
+            };
+        }
+    }
+
+    return { MatchTelemetry, STATS_FORMAT, STATS_VERSION };
+});
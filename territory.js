@@ -0,0 +1,298 @@
+// Territory ownership is kept on a fine grid of cells. Captures are resolved
+// with a flood fill on the grid and the polygons used for drawing are traced
+// from it, so the area on screen and the area used for scoring always agree.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    class TerritoryGrid {
+        constructor(width, height, cellSize = 4) {
+            this.cellSize = cellSize;
+            this.cols = Math.ceil(width / cellSize);
+            this.rows = Math.ceil(height / cellSize);
+            this.cells = new Uint16Array(this.cols * this.rows); // 0 = unclaimed
+            this.counts = new Map(); // owner id -> number of cells
+            this.bounds = new Map(); // owner id -> bounding box of cells ever owned
+            this.locked = new Uint8Array(this.cols * this.rows); // nonzero = can never be claimed (see arenas.js)
+
+            // Scratch buffers reused between captures
+            this.marks = new Uint8Array(this.cols * this.rows);
+            this.stack = new Int32Array(this.cols * this.rows);
+        }
+
+        indexAt(x, y) {
+            const col = Math.floor(x / this.cellSize);
+            const row = Math.floor(y / this.cellSize);
+            if (col < 0 || col >= this.cols || row < 0 || row >= this.rows) return -1;
+            return row * this.cols + col;
+        }
+
+        ownerAt(x, y) {
+            const index = this.indexAt(x, y);
+            return index === -1 ? 0 : this.cells[index];
+        }
+
+        cellCount(owner) {
+            return this.counts.get(owner) || 0;
+        }
+
+        area(owner) {
+            return this.cellCount(owner) * this.cellSize * this.cellSize;
+        }
+
+        setCell(index, owner) {
+            const previous = this.cells[index];
+            if (previous === owner) return;
+
+            if (previous !== 0) {
+                this.counts.set(previous, this.counts.get(previous) - 1);
+            }
+            if (owner !== 0) {
+                this.counts.set(owner, this.cellCount(owner) + 1);
+                this.growBounds(owner, index % this.cols, Math.floor(index / this.cols));
+            }
+            this.cells[index] = owner;
+        }
+
+        growBounds(owner, col, row) {
+            const box = this.bounds.get(owner);
+            if (!box) {
+                this.bounds.set(owner, { minCol: col, maxCol: col, minRow: row, maxRow: row });
+                return;
+            }
+            if (col < box.minCol) box.minCol = col;
+            if (col > box.maxCol) box.maxCol = col;
+            if (row < box.minRow) box.minRow = row;
+            if (row > box.maxRow) box.maxRow = row;
+        }
+
+        // Claims every cell whose centre is within the circle. Returns the same
+        // { gained, stolen } counts as capture().
+        claimCircle(owner, cx, cy, radius) {
+            const result = { gained: 0, stolen: new Map() };
+            const size = this.cellSize;
+            const minCol = Math.max(0, Math.floor((cx - radius) / size));
+            const maxCol = Math.min(this.cols - 1, Math.floor((cx + radius) / size));
+            const minRow = Math.max(0, Math.floor((cy - radius) / size));
+            const maxRow = Math.min(this.rows - 1, Math.floor((cy + radius) / size));
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    const dx = (col + 0.5) * size - cx;
+                    const dy = (row + 0.5) * size - cy;
+                    const index = row * this.cols + col;
+                    if (dx * dx + dy * dy <= radius * radius && this.cells[index] !== owner && !this.locked[index]) {
+                        const victim = this.cells[index];
+                        if (victim !== 0) result.stolen.set(victim, (result.stolen.get(victim) || 0) + 1);
+                        this.setCell(index, owner);
+                        result.gained++;
+                    }
+                }
+            }
+            return result;
+        }
+
+        // Claims the cells covered by a closed trail plus everything it encloses
+        // together with the owner's existing land. Returns how many cells were
+        // gained and how many were taken from each other owner.
+        capture(owner, trail) {
+            const result = { gained: 0, stolen: new Map() };
+            if (trail.length === 0) return result;
+
+            const { cols, marks, stack, cells } = this;
+            const marked = [];
+
+            // Rasterize the trail, keeping it 4-connected so the fill can't leak through
+            let previous = -1;
+            const mark = (index) => {
+                if (index !== -1 && !marks[index]) {
+                    marks[index] = 1;
+                    marked.push(index);
+                }
+            };
+            const step = this.cellSize / 2;
+            for (let i = 0; i < trail.length; i++) {
+                const from = trail[i];
+                const to = trail[Math.min(i + 1, trail.length - 1)];
+                const length = Math.sqrt((to.x - from.x) ** 2 + (to.y - from.y) ** 2);
+                const samples = Math.max(1, Math.ceil(length / step));
+
+                for (let s = 0; s <= samples; s++) {
+                    const index = this.indexAt(
+                        from.x + (to.x - from.x) * (s / samples),
+                        from.y + (to.y - from.y) * (s / samples)
+                    );
+                    if (index === -1 || index === previous) continue;
+                    if (previous !== -1 && previous % cols !== index % cols &&
+                        Math.floor(previous / cols) !== Math.floor(index / cols)) {
+                        mark(Math.floor(previous / cols) * cols + index % cols);
+                    }
+                    mark(index);
+                    previous = index;
+                }
+            }
+
+            // Only cells inside the box around the owner's land and the trail can be enclosed
+            for (const index of marked) this.growBounds(owner, index % cols, Math.floor(index / cols));
+            const box = this.bounds.get(owner);
+            const minCol = Math.max(0, box.minCol - 1);
+            const maxCol = Math.min(cols - 1, box.maxCol + 1);
+            const minRow = Math.max(0, box.minRow - 1);
+            const maxRow = Math.min(this.rows - 1, box.maxRow + 1);
+
+            // Flood fill from the edge of the box; whatever it can't reach is enclosed.
+            // marks: 1 = trail, 2 = reached from outside
+            let top = 0;
+            const seed = (index) => {
+                if (marks[index] === 0 && cells[index] !== owner) {
+                    marks[index] = 2;
+                    stack[top++] = index;
+                }
+            };
+            for (let col = minCol; col <= maxCol; col++) {
+                seed(minRow * cols + col);
+                seed(maxRow * cols + col);
+            }
+            for (let row = minRow; row <= maxRow; row++) {
+                seed(row * cols + minCol);
+                seed(row * cols + maxCol);
+            }
+            while (top > 0) {
+                const index = stack[--top];
+                const col = index % cols;
+                const row = Math.floor(index / cols);
+                if (col > minCol) seed(index - 1);
+                if (col < maxCol) seed(index + 1);
+                if (row > minRow) seed(index - cols);
+                if (row < maxRow) seed(index + cols);
+            }
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    const index = row * cols + col;
+                    if (marks[index] !== 2 && cells[index] !== owner && !this.locked[index]) {
+                        const victim = cells[index];
+                        if (victim !== 0) {
+                            result.stolen.set(victim, (result.stolen.get(victim) || 0) + 1);
+                        }
+                        this.setCell(index, owner);
+                        result.gained++;
+                    }
+                    marks[index] = 0;
+                }
+            }
+            for (const index of marked) marks[index] = 0;
+
+            return result;
+        }
+
+        saveState() {
+            const bounds = new Map();
+            for (const [owner, box] of this.bounds) bounds.set(owner, { ...box });
+            return { cells: this.cells.slice(), counts: new Map(this.counts), bounds };
+        }
+
+        loadState(saved) {
+            this.cells.set(saved.cells);
+            this.counts = new Map(saved.counts);
+            this.bounds = new Map();
+            for (const [owner, box] of saved.bounds) this.bounds.set(owner, { ...box });
+        }
+
+        // Run-length encodes the grid as [owner, count, owner, count, ...]
+        encodeRuns() {
+            const runs = [];
+            const { cells } = this;
+            let start = 0;
+            for (let i = 1; i <= cells.length; i++) {
+                if (i === cells.length || cells[i] !== cells[start]) {
+                    runs.push(cells[start], i - start);
+                    start = i;
+                }
+            }
+            return runs;
+        }
+
+        decodeRuns(runs) {
+            this.counts.clear();
+            this.bounds.clear();
+            this.cells.fill(0);
+
+            let index = 0;
+            for (let i = 0; i < runs.length; i += 2) {
+                const owner = runs[i];
+                const end = Math.min(this.cells.length, index + runs[i + 1]);
+                for (; index < end; index++) {
+                    if (owner !== 0) this.setCell(index, owner);
+                }
+            }
+        }
+
+        // Traces the outlines of an owner's cells. Outer rings run clockwise on
+        // screen and holes counter-clockwise, so a nonzero fill draws them right.
+        traceOutlines(owner) {
+            const box = this.bounds.get(owner);
+            if (!box || this.cellCount(owner) === 0) return [];
+
+            const { cols, rows, cells } = this;
+            const stride = cols + 1;
+            const owns = (col, row) => col >= 0 && col < cols && row >= 0 && row < rows &&
+                cells[row * cols + col] === owner;
+
+            // Directed boundary edges between grid vertices, keyed by start vertex
+            const edges = new Map();
+            const addEdge = (fromCol, fromRow, toCol, toRow) => {
+                const from = fromRow * stride + fromCol;
+                const to = toRow * stride + toCol;
+                if (edges.has(from)) {
+                    edges.get(from).push(to);
+                } else {
+                    edges.set(from, [to]);
+                }
+            };
+
+            for (let row = box.minRow; row <= box.maxRow; row++) {
+                for (let col = box.minCol; col <= box.maxCol; col++) {
+                    if (!owns(col, row)) continue;
+                    if (!owns(col, row - 1)) addEdge(col, row, col + 1, row);
+                    if (!owns(col + 1, row)) addEdge(col + 1, row, col + 1, row + 1);
+                    if (!owns(col, row + 1)) addEdge(col + 1, row + 1, col, row + 1);
+                    if (!owns(col - 1, row)) addEdge(col, row + 1, col, row);
+                }
+            }
+
+            const rings = [];
+            const size = this.cellSize;
+            for (const start of edges.keys()) {
+                while (edges.get(start).length > 0) {
+                    const vertices = [];
+                    let current = start;
+                    do {
+                        vertices.push(current);
+                        current = edges.get(current).pop();
+                    } while (current !== start);
+
+                    // Drop vertices in the middle of straight runs
+                    const ring = [];
+                    for (let i = 0; i < vertices.length; i++) {
+                        const prev = vertices[(i + vertices.length - 1) % vertices.length];
+                        const next = vertices[(i + 1) % vertices.length];
+                        const vertex = vertices[i];
+                        const straight = (vertex - prev) === (next - vertex);
+                        if (!straight) {
+                            ring.push({ x: (vertex % stride) * size, y: Math.floor(vertex / stride) * size });
+                        }
+                    }
+                    rings.push(ring);
+                }
+            }
+
+            return rings;
+        }
+    }
+
+    return { TerritoryGrid };
+});
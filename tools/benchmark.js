@@ -0,0 +1,143 @@
+// Measures what trail queries cost per frame as matches get bigger, with the
+// trail index against the old scan over every segment of every trail.
+//
+//   node tools/benchmark.js [--players 4,8,16,32,48] [--trails 50,200,800] [--frames 200]
+//
+// Each player gets its own patch of a suitably large arena and a trail of
+// the given number of points, winding back and forth across the patch. A
+// frame is what a tick asks of the trails: a collision pass for everyone
+// plus three look-ahead safety checks per player, the way bots probe the
+// way ahead. Every frame each trail also grows by a point, and every 20
+// frames it starts over from a fresh copy as if it had been closed, so the
+// index's incremental updates and rebuilds are part of the cost.
+const { performance } = require('perf_hooks');
+const { PaperIOSimulation, createSpawnPoints } = require('../simulation');
+
+const PATCH = 200; // px of arena per player
+const ROW_GAP = 12; // between the back-and-forth runs of a trail
+
+// The same rules without the index, as they were before it
+class ScanningSimulation extends PaperIOSimulation {
+    isNearTrail(player, x, y, threshold, skipLast = 0) {
+        const trail = skipLast > 0 ? player.trail.slice(0, -skipLast) : player.trail;
+        return this.isPointNearTrail(x, y, trail, threshold);
+    }
+
+    trailOwnersNear(x, y, threshold) {
+        const owners = new Set();
+        for (const player of this.state.players) {
+            if (this.isPointNearTrail(x, y, player.trail, threshold)) owners.add(player.id);
+        }
+        return owners;
+    }
+}
+
+function parseList(argv, name, fallback) {
+    const at = argv.indexOf(name);
+    return at === -1 ? fallback : argv[at + 1].split(',').map(Number);
+}
+
+// A trail of `length` points snaking through the patch around (cx, cy)
+function windingTrail(cx, cy, length, spacing) {
+    const trail = [];
+    const left = cx - PATCH / 2 + 20;
+    const right = cx + PATCH / 2 - 20;
+    let x = left;
+    let y = cy - PATCH / 2 + 20;
+    let step = spacing;
+
+    for (let i = 0; i < length; i++) {
+        trail.push({ x, y });
+        x += step;
+        if (x > right || x < left) {
+            x -= step;
+            step = -step;
+            y += ROW_GAP;
+            if (y > cy + PATCH / 2 - 20) y = cy - PATCH / 2 + 20; // wraps onto the first row
+        }
+    }
+    return trail;
+}
+
+function buildMatch(Simulation, playerCount, trailLength) {
+    const cols = Math.ceil(Math.sqrt(playerCount * 4 / 3));
+    const rows = Math.ceil(playerCount / cols);
+    const width = cols * PATCH;
+    const height = rows * PATCH;
+    const spawns = createSpawnPoints(playerCount, width, height, PATCH / 2);
+
+    const sim = new Simulation({
+        width,
+        height,
+        players: spawns.map(spawn => ({ x: spawn.x, y: spawn.y, speed: 100 }))
+    }, 1);
+
+    sim.startTrails = new Map();
+    for (const player of sim.state.players) {
+        player.trail = windingTrail(player.x, player.y, trailLength, sim.config.trailSpacing);
+        sim.startTrails.set(player.id, player.trail.slice());
+        const head = player.trail[player.trail.length - 1];
+        player.x = head.x;
+        player.y = head.y + 2;
+        player.direction = { x: 1, y: 0 };
+    }
+    // Only the cost of asking matters here, nobody actually gets eliminated
+    sim.eliminatePlayer = () => {};
+    return sim;
+}
+
+function timeFrames(sim, frames) {
+    let frame = 0;
+    const run = () => {
+        frame++;
+        for (const player of sim.state.players) {
+            if (frame % 20 === 0) {
+                player.trail = sim.startTrails.get(player.id).slice();
+            } else {
+                const last = player.trail[player.trail.length - 1];
+                player.trail.push({ x: last.x, y: last.y + 0.01 });
+            }
+        }
+        sim.checkCollisions();
+        for (const player of sim.state.players) {
+            for (let ahead = 1; ahead <= 3; ahead++) {
+                sim.isPositionSafe(player, player.x + ahead * 20, player.y);
+            }
+        }
+    };
+
+    for (let i = 0; i < 20; i++) run(); // let the JIT settle first
+    const start = performance.now();
+    for (let i = 0; i < frames; i++) run();
+    return (performance.now() - start) / frames;
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const playerCounts = parseList(argv, '--players', [4, 8, 16, 32, 48]);
+    const trailLengths = parseList(argv, '--trails', [50, 200, 800]);
+    const frames = parseList(argv, '--frames', [200])[0];
+
+    // Get both code paths compiled before anything is timed
+    for (const Simulation of [ScanningSimulation, PaperIOSimulation]) {
+        timeFrames(buildMatch(Simulation, 8, 200), 200);
+    }
+
+    const header = ['Players', 'Trail pts', 'Scan ms/frame', 'Index ms/frame', 'Speed-up'];
+    console.log(header.join('  '));
+    for (const players of playerCounts) {
+        for (const length of trailLengths) {
+            const scan = timeFrames(buildMatch(ScanningSimulation, players, length), frames);
+            const indexed = timeFrames(buildMatch(PaperIOSimulation, players, length), frames);
+            console.log([
+                String(players).padStart(header[0].length),
+                String(length).padStart(header[1].length),
+                scan.toFixed(3).padStart(header[2].length),
+                indexed.toFixed(3).padStart(header[3].length),
+                `${(scan / indexed).toFixed(1)}x`.padStart(header[4].length)
+            ].join('  '));
+        }
+    }
+}
+
+module.exports = { ScanningSimulation, buildMatch, timeFrames };
@@ -0,0 +1,273 @@
+// The bot protocol. Every tick a bot gets an observation of the arena and
+// answers with a direction: 'up', 'down', 'left', 'right', or null to keep
+// going. Bots either run in-process as JS modules exporting
+// createBot(info) -> { decide(observation) }, or as separate programs that
+// speak newline-delimited JSON over stdin/stdout:
+//
+//   runner -> bot   {"type":"start","you":2,"config":{...}}
+//                   {"type":"tick","tick":0,"you":2,"players":[...],"grid":[...]}
+//                   {"type":"end","rankings":[...]}
+//   bot -> runner   {"tick":0,"direction":"left"}
+//
+// A program bot has a limited time to answer each tick; a late or missing
+// answer keeps it going the way it was. serveStdio() turns any createBot
+// module into such a program.
+const { spawn } = require('child_process');
+const path = require('path');
+const readline = require('readline');
+const { DIRECTIONS } = require('../simulation');
+const { AIController } = require('../ai');
+
+const DIRECTION_NAMES = {
+    up: DIRECTIONS[0],
+    down: DIRECTIONS[1],
+    left: DIRECTIONS[2],
+    right: DIRECTIONS[3]
+};
+
+function directionName(direction) {
+    for (const name of Object.keys(DIRECTION_NAMES)) {
+        const d = DIRECTION_NAMES[name];
+        if (d.x === direction.x && d.y === direction.y) return name;
+    }
+    return null;
+}
+
+// Accepts a direction name or an { x, y } vector, anything else is null
+function toDirection(value) {
+    if (typeof value === 'string') return Object.hasOwn(DIRECTION_NAMES, value) ? DIRECTION_NAMES[value] : null;
+    if (value && typeof value === 'object') return DIRECTION_NAMES[directionName(value)] || null;
+    return null;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Sent once per match before the first tick
+function matchInfo(sim, playerId) {
+    const { width, height, cellSize, tickRate, timeLimit, playerSize, mode, arena } = sim.config;
+    return {
+        you: playerId,
+        seed: sim.seed,
+        config: {
+            width, height, cellSize, tickRate, timeLimit, playerSize, mode, arena,
+            players: sim.state.players.map(p => ({ id: p.id, name: p.name, color: p.color, team: p.team }))
+        }
+    };
+}
+
+// What a bot sees each tick. The territory grid, run-length encoded as
+// [owner, count, owner, count, ...] row by row (TerritoryGrid.encodeRuns),
+// is only included when it changed since the bot last saw it.
+function observe(sim, playerId, includeGrid) {
+    const { state } = sim;
+    const observation = {
+        tick: state.tick,
+        time: state.time,
+        timeRemaining: sim.getTimeRemaining(),
+        you: playerId,
+        players: state.players.map(p => ({
+            id: p.id,
+            team: p.team,
+            x: round(p.x),
+            y: round(p.y),
+            direction: directionName(p.direction),
+            speed: p.speed,
+            alive: p.alive,
+            effects: { ...p.effects }, // pickup type -> tick it wears off
+            trail: p.trail.map(point => [round(point.x), round(point.y)]),
+            area: sim.getTerritoryArea(p),
+            share: round(sim.getTerritoryShare(p) * 100) / 100
+        })),
+        pickups: state.pickups.map(p => ({ type: p.type, x: round(p.x), y: round(p.y) }))
+    };
+    if (includeGrid) observation.grid = state.grid.encodeRuns();
+    return observation;
+}
+
+// Every bot kind has the same shape: start(info, sim), decide(observation)
+// resolving to a direction or null, end(result) and close()
+
+// The game's own AI. Unlike other bots it reads the simulation directly.
+class BuiltinBot {
+    constructor(strategy) {
+        this.name = `builtin:${strategy}`;
+        this.strategy = strategy;
+        this.controller = null;
+        this.timeouts = 0;
+        this.errors = 0;
+    }
+
+    async start(info, sim) {
+        this.controller = new AIController(sim, info.you, this.strategy);
+    }
+
+    async decide() {
+        return this.controller.decide();
+    }
+
+    end() {}
+
+    close() {}
+}
+
+// A JS module loaded into this process
+class ModuleBot {
+    constructor(file) {
+        this.file = path.resolve(file);
+        const exported = require(this.file);
+        this.createBot = typeof exported === 'function' ? exported : exported.createBot;
+        if (typeof this.createBot !== 'function') {
+            throw new Error(`${file} doesn't export createBot(info)`);
+        }
+        this.name = exported.botName || path.basename(file, '.js');
+        this.bot = null;
+        this.timeouts = 0;
+        this.errors = 0;
+    }
+
+    async start(info) {
+        this.bot = this.createBot(info);
+    }
+
+    async decide(observation) {
+        try {
+            return toDirection(await this.bot.decide(observation));
+        } catch (error) {
+            this.errors++;
+            return null;
+        }
+    }
+
+    end(result) {
+        if (this.bot && this.bot.end) this.bot.end(result);
+    }
+
+    close() {}
+}
+
+// A separate program speaking JSON over stdio, kept running between matches
+class ProcessBot {
+    constructor(command, moveTimeout = 100) {
+        this.name = command;
+        this.command = command;
+        this.moveTimeout = moveTimeout;
+        this.waiting = null; // { tick, resolve, timer }
+        this.exited = false;
+        this.closing = false;
+        this.killTimer = null;
+        this.timeouts = 0;
+        this.errors = 0;
+
+        // In its own process group, so closing it also stops whatever the
+        // shell started
+        this.child = spawn(command, { shell: true, detached: true, stdio: ['pipe', 'pipe', 'inherit'] });
+        this.child.on('error', () => this.handleExit());
+        this.child.on('exit', () => this.handleExit());
+        this.child.stdin.on('error', () => {}); // reported by 'exit'
+
+        readline.createInterface({ input: this.child.stdout }).on('line', (line) => {
+            let reply;
+            try {
+                reply = JSON.parse(line);
+            } catch (error) {
+                this.errors++;
+                return;
+            }
+            // Answers to ticks we've stopped waiting for are dropped
+            if (this.waiting && reply && reply.tick === this.waiting.tick) {
+                this.settle(toDirection(reply.direction));
+            }
+        });
+    }
+
+    handleExit() {
+        if (this.exited) return;
+        this.exited = true;
+        clearTimeout(this.killTimer);
+        if (!this.closing) this.errors++; // crashed mid-tournament
+        this.settle(null);
+    }
+
+    settle(direction) {
+        if (!this.waiting) return;
+        clearTimeout(this.waiting.timer);
+        this.waiting.resolve(direction);
+        this.waiting = null;
+    }
+
+    send(message) {
+        if (!this.exited) this.child.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    async start(info) {
+        this.send({ type: 'start', ...info });
+    }
+
+    decide(observation) {
+        if (this.exited) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.timeouts++;
+                this.settle(null);
+            }, this.moveTimeout);
+            this.waiting = { tick: observation.tick, resolve, timer };
+            this.send({ type: 'tick', ...observation });
+        });
+    }
+
+    end(result) {
+        this.send({ type: 'end', ...result });
+    }
+
+    close() {
+        if (this.exited) return;
+        this.closing = true;
+        this.child.stdin.end();
+        // Give it a moment to exit on its own
+        this.killTimer = setTimeout(() => {
+            try {
+                process.kill(-this.child.pid);
+            } catch (error) {
+                // Already gone
+            }
+        }, 500);
+    }
+}
+
+// builtin:<strategy>, cmd:<command line> or a path to a JS module
+function createBot(spec, options = {}) {
+    if (spec.startsWith('builtin:')) return new BuiltinBot(spec.slice('builtin:'.length));
+    if (spec.startsWith('cmd:')) return new ProcessBot(spec.slice('cmd:'.length), options.moveTimeout);
+    return new ModuleBot(spec);
+}
+
+// Runs a createBot module as a program bot on stdin/stdout
+function serveStdio(createBotFn) {
+    let bot = null;
+
+    readline.createInterface({ input: process.stdin }).on('line', async (line) => {
+        const message = JSON.parse(line);
+        if (message.type === 'start') {
+            bot = createBotFn(message);
+        } else if (message.type === 'tick' && bot) {
+            const direction = await bot.decide(message);
+            process.stdout.write(JSON.stringify({ tick: message.tick, direction: direction || null }) + '\n');
+        } else if (message.type === 'end' && bot && bot.end) {
+            bot.end(message);
+        }
+    });
+}
+
+module.exports = {
+    DIRECTION_NAMES,
+    directionName,
+    toDirection,
+    matchInfo,
+    observe,
+    createBot,
+    serveStdio,
+    BuiltinBot,
+    ModuleBot,
+    ProcessBot
+};
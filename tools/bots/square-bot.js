@@ -0,0 +1,61 @@
+// Example bot: walks out of its territory, traces a square clockwise and
+// comes back in, then does it again. It only uses the observation, so it
+// works as an in-process module:
+//
+//   node tools/tournament.js tools/bots/square-bot.js builtin:normal
+//
+// and as a program bot over stdio:
+//
+//   node tools/tournament.js "cmd:node tools/bots/square-bot.js" builtin:normal
+const CLOCKWISE = { up: 'right', right: 'down', down: 'left', left: 'up' };
+const STEP = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+
+function createBot(info) {
+    const { width, height } = info.config;
+    // Out, across, and back a little further than we came, so the last leg
+    // runs into our land rather than into the start of our trail
+    const legLengths = [60, 60, 80];
+    let legStart = null;
+    let legs = 0;
+
+    // Distance to the arena edge going that way
+    const room = (me, direction) => {
+        const [dx, dy] = STEP[direction];
+        if (dx > 0) return width - me.x;
+        if (dx < 0) return me.x;
+        if (dy > 0) return height - me.y;
+        return me.y;
+    };
+
+    return {
+        decide(observation) {
+            const me = observation.players.find(p => p.id === observation.you);
+
+            // Home: pick the way with the most room and set off
+            if (me.trail.length === 0) {
+                legStart = null;
+                legs = 0;
+                const best = Object.keys(STEP).sort((a, b) => room(me, b) - room(me, a))[0];
+                return me.direction && room(me, me.direction) > 120 ? me.direction : best;
+            }
+
+            if (!legStart) legStart = { x: me.x, y: me.y };
+            const travelled = Math.abs(me.x - legStart.x) + Math.abs(me.y - legStart.y);
+
+            // Turn after each leg (the last one runs until we're home), or
+            // early if a wall is coming up
+            if ((legs < legLengths.length && travelled >= legLengths[legs]) || room(me, me.direction) < 20) {
+                legStart = { x: me.x, y: me.y };
+                legs++;
+                return CLOCKWISE[me.direction];
+            }
+            return null;
+        }
+    };
+}
+
+module.exports = { createBot, botName: 'square-bot' };
+
+if (require.main === module) {
+    require('../bot-protocol').serveStdio(createBot);
+}
@@ -0,0 +1,236 @@
+// Plays bots against each other headlessly and reports win rates, average
+// territory share and how they got eliminated.
+//
+//   node tools/tournament.js [options] <bot> <bot> [<bot> ...]
+//
+// A bot is builtin:easy|normal|hard, a path to a JS module exporting
+// createBot(info), or cmd:"<command line>" for a program speaking JSON over
+// stdio (see bot-protocol.js). Every group of --seats bots plays one match
+// per seed, with seats rotating between seeds so nobody keeps the best spawn.
+//
+//   --seeds 1,2,3 | --seeds 5   seeds to play, a count means 1..n   (5)
+//   --seats 4                   players per match                   (4)
+//   --time-limit 60             match length in seconds             (60)
+//   --move-timeout 100          ms a program bot has to answer      (100)
+//   --json                      print the JSON report instead of a table
+//   --out report.json           also write the JSON report to a file
+const fs = require('fs');
+const { PaperIOSimulation, DEFAULT_CONFIG, PLAYER_COLORS, createSpawnPoints } = require('../simulation');
+const { createBot, matchInfo, observe } = require('./bot-protocol');
+
+const BOT_SPEED = 100;
+const CAUSES = ['wall', 'self', 'cut', 'territory'];
+
+function parseArgs(argv) {
+    const options = { seeds: [1, 2, 3, 4, 5], seats: 4, timeLimit: 60, moveTimeout: 100, json: false, out: null, bots: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--seeds') {
+            const seeds = value().split(',').map(Number);
+            if (seeds.some(seed => !Number.isInteger(seed))) throw new Error('--seeds takes a count or a list of integers');
+            options.seeds = seeds.length === 1 ? Array.from({ length: seeds[0] }, (_, n) => n + 1) : seeds;
+        } else if (arg === '--seats') {
+            options.seats = Number(value());
+        } else if (arg === '--time-limit') {
+            options.timeLimit = Number(value());
+        } else if (arg === '--move-timeout') {
+            options.moveTimeout = Number(value());
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--out') {
+            options.out = value();
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.bots.push(arg);
+        }
+    }
+
+    if (options.bots.length < 2) throw new Error('Need at least two bots');
+    if (!(options.seats >= 2 && options.seats <= PLAYER_COLORS.length)) {
+        throw new Error(`--seats must be between 2 and ${PLAYER_COLORS.length}`);
+    }
+    if (!(options.timeLimit > 0) || !(options.moveTimeout > 0)) {
+        throw new Error('--time-limit and --move-timeout must be positive');
+    }
+    return options;
+}
+
+// Every way to pick `size` of the entrants, in order
+function combinations(items, size) {
+    if (size === 0) return [[]];
+    if (items.length < size) return [];
+    const [first, ...rest] = items;
+    return [
+        ...combinations(rest, size - 1).map(group => [first, ...group]),
+        ...combinations(rest, size)
+    ];
+}
+
+async function playMatch(entrants, seed, options) {
+    const { width, height } = DEFAULT_CONFIG;
+    const spawns = createSpawnPoints(entrants.length, width, height);
+    const players = entrants.map((entrant, i) => ({
+        id: i + 1,
+        name: entrant.label,
+        x: spawns[i].x,
+        y: spawns[i].y,
+        color: PLAYER_COLORS[i],
+        isHuman: false,
+        speed: BOT_SPEED
+    }));
+    const sim = new PaperIOSimulation({ players, timeLimit: options.timeLimit * 1000 }, seed);
+
+    await Promise.all(entrants.map((entrant, i) => entrant.bot.start(matchInfo(sim, i + 1), sim)));
+
+    const results = players.map(() => ({ cause: null, killedBy: null, kills: 0 }));
+    let gridVersion = 0;
+    const gridSeen = players.map(() => -1);
+
+    while (sim.state.running) {
+        const decisions = await Promise.all(sim.state.players.map((player, i) => {
+            if (!player.alive) return null;
+            const includeGrid = gridSeen[i] !== gridVersion;
+            gridSeen[i] = gridVersion;
+            return entrants[i].bot.decide(observe(sim, player.id, includeGrid));
+        }));
+
+        const inputs = {};
+        decisions.forEach((direction, i) => {
+            if (direction) inputs[i + 1] = direction;
+        });
+
+        const { events } = sim.step(inputs);
+        for (const event of events) {
+            if (event.type === 'capture') {
+                gridVersion++;
+            } else if (event.type === 'elimination') {
+                results[event.playerId - 1].cause = event.cause;
+                if (event.killerId) {
+                    results[event.playerId - 1].killedBy = entrants[event.killerId - 1].label;
+                    results[event.killerId - 1].kills++;
+                }
+            }
+        }
+    }
+
+    const rankings = sim.getRankings();
+    const summary = rankings.map(p => ({ id: p.id, share: sim.getTerritoryShare(p), alive: p.alive }));
+    entrants.forEach((entrant) => entrant.bot.end({ rankings: summary }));
+
+    return {
+        seed,
+        ticks: sim.state.tick,
+        winner: entrants[rankings[0].id - 1].label,
+        players: sim.state.players.map((player, i) => ({
+            bot: entrants[i].label,
+            rank: rankings.indexOf(player) + 1,
+            share: sim.getTerritoryShare(player),
+            alive: player.alive,
+            eliminatedBy: results[i].cause,
+            killedBy: results[i].killedBy,
+            kills: results[i].kills
+        }))
+    };
+}
+
+async function runTournament(options) {
+    // The same bot entered twice gets told apart by a suffix
+    const counts = new Map();
+    const entrants = options.bots.map((spec) => {
+        const bot = createBot(spec, { moveTimeout: options.moveTimeout });
+        const n = (counts.get(bot.name) || 0) + 1;
+        counts.set(bot.name, n);
+        return { spec, bot, label: n > 1 ? `${bot.name}#${n}` : bot.name };
+    });
+
+    const matches = [];
+    try {
+        const groups = combinations(entrants, Math.min(options.seats, entrants.length));
+        for (const group of groups) {
+            for (let s = 0; s < options.seeds.length; s++) {
+                const shift = s % group.length;
+                const seating = [...group.slice(shift), ...group.slice(0, shift)];
+                matches.push(await playMatch(seating, options.seeds[s], options));
+            }
+        }
+    } finally {
+        entrants.forEach(entrant => entrant.bot.close());
+    }
+
+    const standings = entrants.map((entrant) => {
+        const played = matches.flatMap(match => match.players.filter(p => p.bot === entrant.label));
+        const eliminations = {};
+        for (const cause of CAUSES) eliminations[cause] = played.filter(p => p.eliminatedBy === cause).length;
+
+        return {
+            bot: entrant.label,
+            spec: entrant.spec,
+            matches: played.length,
+            wins: matches.filter(match => match.winner === entrant.label).length,
+            winRate: 0,
+            averageShare: played.reduce((sum, p) => sum + p.share, 0) / (played.length || 1),
+            survived: played.filter(p => p.alive).length,
+            kills: played.reduce((sum, p) => sum + p.kills, 0),
+            eliminations,
+            timeouts: entrant.bot.timeouts,
+            errors: entrant.bot.errors
+        };
+    });
+    for (const standing of standings) {
+        standing.winRate = standing.matches > 0 ? standing.wins / standing.matches : 0;
+    }
+    standings.sort((a, b) => b.winRate - a.winRate || b.averageShare - a.averageShare);
+
+    return {
+        settings: { seeds: options.seeds, seats: options.seats, timeLimit: options.timeLimit },
+        standings,
+        matches
+    };
+}
+
+function formatTable(report) {
+    const percent = (value) => `${(value * 100).toFixed(1)}%`;
+    const header = ['Bot', 'Played', 'Wins', 'Win rate', 'Avg share', 'Survived', 'Kills', ...CAUSES, 'Timeouts', 'Errors'];
+    const rows = report.standings.map(s => [
+        s.bot, s.matches, s.wins, percent(s.winRate), percent(s.averageShare), s.survived, s.kills,
+        ...CAUSES.map(cause => s.eliminations[cause]), s.timeouts, s.errors
+    ].map(String));
+
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const line = (cells) => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+
+    return [
+        line(header),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.map(line),
+        '',
+        `${report.matches.length} matches, eliminations by ${CAUSES.join(' / ')}`
+    ].join('\n');
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\nUsage: node tools/tournament.js [options] <bot> <bot> [<bot> ...]`);
+        process.exit(2);
+    }
+
+    runTournament(options).then((report) => {
+        if (options.out) fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+        console.log(options.json ? JSON.stringify(report, null, 2) : formatTable(report));
+    }).catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { runTournament, playMatch, parseArgs, formatTable };
@@ -0,0 +1,129 @@
+// Uniform grid of buckets over the arena holding every trail segment, so
+// asking whether a point is near a trail only looks at the segments in the
+// few buckets around it instead of every segment of every trail.
+//
+// Trails only ever grow at the end or get replaced wholesale (closed, cut,
+// or swapped for a server copy), so the index follows them incrementally:
+// sync() adds the segments appended since it last looked and rebuilds a
+// trail whose array was replaced or got shorter.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+})(this, function () {
+    class TrailIndex {
+        constructor(width, height, bucketSize = 32) {
+            this.bucketSize = bucketSize;
+            this.cols = Math.max(1, Math.ceil(width / bucketSize));
+            this.rows = Math.max(1, Math.ceil(height / bucketSize));
+            this.buckets = Array.from({ length: this.cols * this.rows }, () => []);
+            this.trails = new Map(); // owner id -> { trail, length, segments }
+        }
+
+        columnAt(x) {
+            return Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.bucketSize)));
+        }
+
+        rowAt(y) {
+            return Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.bucketSize)));
+        }
+
+        sync(owner, trail) {
+            let entry = this.trails.get(owner);
+            if (entry && (entry.trail !== trail || trail.length < entry.length)) {
+                this.remove(owner);
+                entry = null;
+            }
+            if (!entry) {
+                entry = { trail, length: 0, segments: [] };
+                this.trails.set(owner, entry);
+            }
+
+            for (let i = Math.max(0, entry.length - 1); i < trail.length - 1; i++) {
+                this.insert(entry, owner, i, trail[i], trail[i + 1]);
+            }
+            entry.length = trail.length;
+        }
+
+        insert(entry, owner, index, a, b) {
+            const segment = { owner, index, a, b, buckets: [] };
+            const minCol = this.columnAt(Math.min(a.x, b.x));
+            const maxCol = this.columnAt(Math.max(a.x, b.x));
+            const minRow = this.rowAt(Math.min(a.y, b.y));
+            const maxRow = this.rowAt(Math.max(a.y, b.y));
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    const bucket = row * this.cols + col;
+                    this.buckets[bucket].push(segment);
+                    segment.buckets.push(bucket);
+                }
+            }
+            entry.segments.push(segment);
+        }
+
+        remove(owner) {
+            const entry = this.trails.get(owner);
+            if (!entry) return;
+
+            for (const segment of entry.segments) {
+                for (const index of segment.buckets) {
+                    const bucket = this.buckets[index];
+                    const at = bucket.indexOf(segment);
+                    bucket[at] = bucket[bucket.length - 1];
+                    bucket.pop();
+                }
+            }
+            this.trails.delete(owner);
+        }
+
+        // Calls visit(segment) for every segment within threshold of the
+        // point until visit returns true; returns whether one did
+        someNear(x, y, threshold, visit) {
+            const minCol = this.columnAt(x - threshold);
+            const maxCol = this.columnAt(x + threshold);
+            const minRow = this.rowAt(y - threshold);
+            const maxRow = this.rowAt(y + threshold);
+            const limit = threshold * threshold;
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    for (const segment of this.buckets[row * this.cols + col]) {
+                        if (distanceSquared(x, y, segment.a, segment.b) < limit && visit(segment)) return true;
+                    }
+                }
+            }
+            return false;
+        }
+
+        // Whether the point is near one of owner's segments that starts
+        // before the given trail index
+        isNear(x, y, threshold, owner, before = Infinity) {
+            return this.someNear(x, y, threshold, segment => segment.owner === owner && segment.index < before);
+        }
+
+        ownersNear(x, y, threshold) {
+            const owners = new Set();
+            this.someNear(x, y, threshold, (segment) => {
+                owners.add(segment.owner);
+                return false;
+            });
+            return owners;
+        }
+    }
+
+    function distanceSquared(px, py, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0
+            : Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSquared));
+        const ex = px - (a.x + t * dx);
+        const ey = py - (a.y + t * dy);
+        return ex * ex + ey * ey;
+    }
+
+    return { TrailIndex };
+});
@@ -0,0 +1,339 @@
+// The tutorial and the practice scenarios. Each is a lesson: a small match
+// set up a particular way and a list of steps, each with a goal to reach and
+// a check for when it's reached. Lessons run on the game's own loop, which
+// hands them every tick's events; the tutorial goes through its steps one by
+// one, a practice scenario is a single goal to pass or fail and try again.
+
+const LESSON_SETTINGS = { mode: 'practice', arena: 'classic', width: 1200, height: 900, startRadius: 60 };
+
+const TUTORIAL_DONE_STORAGE = 'paperio:tutorialDone';
+
+const capturedBy = (events, playerId) => events.some(event => event.type === 'capture' && event.playerId === playerId);
+
+const knockedOutBy = (events, playerId, killerId) => events.some(event =>
+    event.type === 'elimination' && event.playerId === playerId && event.killerId === killerId);
+
+// Steps are { title, text, check(lesson, events) } and optionally:
+//   fail(lesson, events)  a message when the attempt is lost
+//   goal                  { x, y, radius, label } drawn in the arena
+//   watch                 id of a player to ring
+//   highlight             selector of a part of the page to point at
+//   confirm               waits for Continue (Enter) rather than a check
+//   bots                  whether the bots move during the step
+// A lesson's seats place the players ({ x, y } and any of name and speed),
+// opening(sim) gives routes played out before the player takes over and
+// bots(sim, strategies) the controllers for the bots.
+const LESSONS = {
+    tutorial: {
+        name: 'Tutorial',
+        settings: { startRadius: 100 },
+        seats: [{ x: 300, y: 450 }, { x: 900, y: 450, name: 'Target', speed: 60 }],
+        bots: (sim) => [new ScriptedRoute(sim, 2, [[650, 450], [650, 250], [500, 250], [500, 650], [850, 650], [850, 450]])],
+        steps: [
+            {
+                title: 'Move',
+                text: 'Steer with the arrow keys or WASD, swipe on a touch screen, or use a gamepad. Make three turns.',
+                highlight: '#controlsHelp',
+                check: (lesson) => lesson.turns >= 3
+            },
+            {
+                title: 'Leave your land',
+                text: 'Head out of your coloured land to the ring. Outside it you leave a trail behind you.',
+                goal: { x: 560, y: 450, radius: 40, label: 'Here' },
+                check: (lesson) => {
+                    const { player, step } = lesson;
+                    return player.trail.length > 0 && Math.hypot(player.x - step.goal.x, player.y - step.goal.y) < step.goal.radius;
+                }
+            },
+            {
+                title: 'Close the loop',
+                text: 'Turn round and come back into your land. Everything your trail closes around becomes yours.',
+                highlight: '#scores',
+                check: (lesson, events) => capturedBy(events, lesson.player.id)
+            },
+            {
+                title: 'Grow',
+                text: 'Bigger loops take more land. Hold 6% of the arena.',
+                highlight: '#scores',
+                check: (lesson) => lesson.sim.getTerritoryShare(lesson.player) >= 0.06
+            },
+            {
+                title: 'Mind your trail',
+                text: 'Your trail is where you can be hit: anyone who runs into it knocks you out, and so does crossing it ' +
+                    'yourself. Keep your trips short. The Target is about to head out.',
+                confirm: true,
+                check: (lesson) => lesson.confirmed
+            },
+            {
+                title: 'Cut a trail',
+                text: 'The Target has left its land. Run across its trail before it gets back.',
+                watch: 2,
+                bots: true,
+                check: (lesson, events) => knockedOutBy(events, 2, lesson.player.id),
+                fail: (lesson, events) => (capturedBy(events, 2) ? 'The Target made it home.' : null)
+            },
+            {
+                title: 'Done!',
+                text: 'That\'s all there is to it. Try the practice scenarios, or start a match from the panel.',
+                check: () => false
+            }
+        ]
+    },
+
+    exposed: {
+        name: 'Exposed trail',
+        practice: true,
+        seats: [{ x: 250, y: 450 }, { x: 950, y: 450, name: 'Runner' }],
+        opening: (sim) => [new ScriptedRoute(sim, 2, [[950, 150], [400, 150], [400, 300]])],
+        bots: (sim, strategies) => [new AIController(sim, 2, strategies[0])],
+        steps: [{
+            title: 'Exposed trail',
+            text: 'The Runner is far from home with a long trail behind it. Cut it before it gets back.',
+            watch: 2,
+            bots: true,
+            check: (lesson, events) => knockedOutBy(events, 2, lesson.player.id),
+            fail: (lesson, events) => (capturedBy(events, 2) ? 'The Runner made it home.' : null),
+            success: 'Cut!'
+        }]
+    },
+
+    corner: {
+        name: 'Corner escape',
+        practice: true,
+        seats: [{ x: 850, y: 650 }, { x: 450, y: 650, name: 'Hunter' }],
+        opening: (sim) => [new ScriptedRoute(sim, 1, [[850, 120], [120, 120], [120, 300]])],
+        bots: (sim, strategies) => [new AIController(sim, 2, strategies[0])],
+        steps: [{
+            title: 'Corner escape',
+            text: 'You\'re heading into a corner, far from home, with the Hunter about. Get back to your land.',
+            bots: true,
+            check: (lesson, events) => capturedBy(events, lesson.player.id),
+            success: 'Made it home!'
+        }]
+    },
+
+    duel: {
+        name: 'Duel',
+        practice: true,
+        seats: [{ x: 300, y: 450 }, { x: 900, y: 450, name: 'Rival' }],
+        bots: (sim, strategies) => [new AIController(sim, 2, strategies[0])],
+        steps: [{
+            title: 'Duel',
+            text: 'One on one with no clock. Knock the Rival out.',
+            bots: true,
+            check: (lesson, events) => events.some(event => event.type === 'elimination' && event.playerId === 2),
+            success: 'You won the duel!'
+        }]
+    }
+};
+
+const PRACTICE_SCENARIOS = Object.keys(LESSONS).filter(name => LESSONS[name].practice);
+
+// What went wrong, by the cause of the player's elimination
+const KNOCKED_OUT = {
+    wall: 'You hit the wall.',
+    self: 'You crossed your own trail.',
+    cut: 'Your trail was cut.',
+    territory: 'You lost all your land.'
+};
+
+// Drives a player through waypoints, one axis at a time. Has the decide() of
+// an AIController, so the game runs it like any bot. Once past the last
+// waypoint the player carries straight on.
+class ScriptedRoute {
+    constructor(simulation, playerId, waypoints) {
+        this.simulation = simulation;
+        this.playerId = playerId;
+        this.waypoints = waypoints; // [x, y], each in line with the one before
+        this.next = 0;
+    }
+
+    get done() {
+        return this.next >= this.waypoints.length;
+    }
+
+    decide() {
+        const player = this.simulation.getPlayer(this.playerId);
+        if (!player || !player.alive) return null;
+
+        // Within half a tick's move counts as there
+        const reach = this.simulation.getSpeed(player) * this.simulation.dt / 2;
+        while (!this.done) {
+            const [x, y] = this.waypoints[this.next];
+            const direction = Math.abs(x - player.x) > reach ? { x: Math.sign(x - player.x), y: 0 }
+                : Math.abs(y - player.y) > reach ? { x: 0, y: Math.sign(y - player.y) }
+                : null;
+            if (!direction) {
+                this.next++;
+                continue;
+            }
+            const turning = direction.x !== player.direction.x || direction.y !== player.direction.y;
+            return turning ? direction : null;
+        }
+        return null;
+    }
+}
+
+class Lesson {
+    constructor(name) {
+        this.name = name;
+        this.definition = LESSONS[name];
+        this.stepIndex = 0;
+        this.sim = null;
+        this.playerId = null;
+        this.result = null; // { passed, message } once a practice attempt is over
+        this.notice = ''; // why the last attempt was restarted
+        this.enterStep(0);
+    }
+
+    get practice() {
+        return Boolean(this.definition.practice);
+    }
+
+    get steps() {
+        return this.definition.steps;
+    }
+
+    get step() {
+        return this.steps[this.stepIndex];
+    }
+
+    get player() {
+        return this.sim.getPlayer(this.playerId);
+    }
+
+    get botsActive() {
+        return !this.result && Boolean(this.step.bots);
+    }
+
+    // The scenario after this one, round and round
+    get nextPractice() {
+        return PRACTICE_SCENARIOS[(PRACTICE_SCENARIOS.indexOf(this.name) + 1) % PRACTICE_SCENARIOS.length];
+    }
+
+    // The match config, with everyone where the lesson puts them. seat: the
+    // local player's, as for createMatchConfig
+    createConfig(seat) {
+        const { seats } = this.definition;
+        const settings = createMatchSettings({ ...LESSON_SETTINGS, ...this.definition.settings, players: seats.length },
+            { offline: true });
+        const config = createMatchConfig(settings, seats.map((entry, i) => (i === 0 ? { ...entry, ...seat } : entry)));
+        config.players = config.players.map((player, i) => ({ ...player, x: seats[i].x, y: seats[i].y }));
+        return config;
+    }
+
+    // A new attempt on a new match: plays out the opening, recording it, and
+    // returns the controllers for the bots
+    start(sim, playerId, recorder, difficulty) {
+        this.sim = sim;
+        this.playerId = playerId;
+        this.result = null;
+        this.enterStep(this.stepIndex);
+
+        const opening = this.definition.opening ? this.definition.opening(sim) : [];
+        for (let tick = 0; tick < 3600 && opening.some(route => !route.done); tick++) {
+            const inputs = {};
+            for (const route of opening) {
+                const direction = route.decide();
+                if (direction) inputs[route.playerId] = direction;
+            }
+            recorder.record(sim, inputs);
+            sim.step(inputs);
+        }
+
+        const bots = sim.state.players.filter(player => !player.isHuman);
+        return this.definition.bots ? this.definition.bots(sim, pickStrategies(difficulty, bots.length)) : [];
+    }
+
+    enterStep(index) {
+        this.stepIndex = index;
+        this.turns = 0;
+        this.lastDirection = null;
+        this.confirmed = false;
+        if (!this.practice && index === this.steps.length - 1) localStorage.setItem(TUTORIAL_DONE_STORAGE, '1');
+    }
+
+    // Continue, for the steps that wait for it
+    confirm() {
+        if (this.step.confirm) this.confirmed = true;
+    }
+
+    // Called with each tick's events. Returns 'playing', 'retry' when the
+    // step should start over on a new match, or 'over' once an attempt at a
+    // practice scenario is passed or lost.
+    update(events) {
+        if (this.result) return 'over';
+        const { player, step } = this;
+
+        const { x, y } = player.direction;
+        if ((x || y) && this.lastDirection && (x !== this.lastDirection.x || y !== this.lastDirection.y)) this.turns++;
+        if (x || y) this.lastDirection = { x, y };
+
+        const out = events.find(event => event.type === 'elimination' && event.playerId === player.id);
+        const failure = out ? KNOCKED_OUT[out.cause] : step.fail ? step.fail(this, events) : null;
+        if (failure) {
+            if (!this.practice) {
+                this.notice = `${failure} Have another go.`;
+                return 'retry';
+            }
+            this.result = { passed: false, message: failure };
+            return 'over';
+        }
+
+        if (!step.check(this, events)) return 'playing';
+        this.notice = '';
+        if (this.stepIndex + 1 < this.steps.length) {
+            this.enterStep(this.stepIndex + 1);
+            return 'playing';
+        }
+        this.result = { passed: true, message: step.success || 'Done!' };
+        return 'over';
+    }
+}
+
+// The box over the arena that shows a lesson's current step, and the part
+// of the page the step points at
+class LessonPanel {
+    constructor({ onContinue, onRetry, onNext }) {
+        this.panel = document.getElementById('lessonPanel');
+        this.title = document.getElementById('lessonTitle');
+        this.progress = document.getElementById('lessonProgress');
+        this.text = document.getElementById('lessonText');
+        this.notice = document.getElementById('lessonNotice');
+        this.continueButton = document.getElementById('lessonContinue');
+        this.retryButton = document.getElementById('lessonRetry');
+        this.nextButton = document.getElementById('lessonNext');
+        this.highlighted = null;
+
+        this.continueButton.addEventListener('click', onContinue);
+        this.retryButton.addEventListener('click', onRetry);
+        this.nextButton.addEventListener('click', onNext);
+    }
+
+    // Only what changed is written, so the live region isn't read out again
+    update(lesson) {
+        this.panel.style.display = lesson ? 'block' : 'none';
+        this.highlight(lesson && !lesson.result ? lesson.step.highlight : null);
+        if (!lesson) return;
+
+        const { step, result } = lesson;
+        const set = (element, text) => {
+            if (element.textContent !== text) element.textContent = text;
+        };
+        set(this.title, step.title);
+        set(this.progress, lesson.practice ? 'Practice' : `Step ${lesson.stepIndex + 1} of ${lesson.steps.length}`);
+        set(this.text, result ? result.message : step.text);
+        set(this.notice, result ? (result.passed ? 'Passed' : 'Failed') : lesson.notice);
+        this.continueButton.style.display = step.confirm && !result ? 'inline-block' : 'none';
+        this.retryButton.style.display = lesson.practice ? 'inline-block' : 'none';
+        this.nextButton.style.display = lesson.practice && result ? 'inline-block' : 'none';
+    }
+
+    highlight(selector) {
+        const element = selector ? document.querySelector(selector) : null;
+        if (element === this.highlighted) return;
+        if (this.highlighted) this.highlighted.classList.remove('lesson-highlight');
+        if (element) element.classList.add('lesson-highlight');
+        this.highlighted = element;
+    }
+}